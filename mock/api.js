@@ -0,0 +1,131 @@
+/* Local mock API for `vite` / `vite preview`.
+   - POST /api/leads accepts lead JSON and echoes an id
+   - POST /api/newsletter answers { status: 'pending' } and logs the confirmation link
+     (a filled `website` honeypot gets the same answer and nothing else);
+     POST /api/newsletter/confirm { token } completes the double opt-in (in memory)
+   - MOCK_API_FAIL=500 answers with a server error, MOCK_API_FAIL=network drops the
+     connection, so the retry queue can be exercised locally
+*/
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+  req.on('end', () => resolve(raw));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+// Shared preamble: POST only, MOCK_API_FAIL, JSON body. Resolves to null once it has answered.
+const readPayload = async (req, res) => {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+    return null;
+  }
+
+  const failMode = process.env.MOCK_API_FAIL;
+  if (failMode === 'network') {
+    req.socket.destroy();
+    return null;
+  }
+  if (failMode && /^\d{3}$/.test(failMode)) {
+    sendJson(res, Number(failMode), { ok: false, error: 'Mock failure' });
+    return null;
+  }
+
+  try {
+    return JSON.parse(await readBody(req));
+  } catch (e) {
+    sendJson(res, 400, { ok: false, error: 'Invalid JSON' });
+    return null;
+  }
+};
+
+const leadsHandler = async (req, res) => {
+  const payload = await readPayload(req, res);
+  if (!payload) return;
+
+  console.log('[mock-api] lead received:', JSON.stringify(payload, null, 2));
+  sendJson(res, 201, { ok: true, id: payload.id || null });
+};
+
+// email -> { token, confirmed }
+const subscribers = new Map();
+
+const newsletterHandler = async (req, res) => {
+  const payload = await readPayload(req, res);
+  if (!payload) return;
+
+  // Honeypot: look exactly like a normal signup so bots learn nothing.
+  if (String(payload.website || '').trim()) {
+    console.log('[mock-api] newsletter honeypot filled, signup dropped');
+    sendJson(res, 202, { ok: true, status: 'pending' });
+    return;
+  }
+
+  const email = String(payload.email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) {
+    sendJson(res, 422, { ok: false, error: 'Invalid email' });
+    return;
+  }
+  const existing = subscribers.get(email);
+  if (existing && existing.confirmed) {
+    sendJson(res, 200, { ok: true, status: 'subscribed' });
+    return;
+  }
+
+  const token = existing ? existing.token : Math.random().toString(36).slice(2) + Date.now().toString(36);
+  subscribers.set(email, { token, confirmed: false });
+  const host = req.headers.host || 'localhost:5173';
+  console.log(`[mock-api] newsletter confirmation for ${email}: http://${host}/newsletter-confirm.html?token=${token}`);
+  sendJson(res, 202, { ok: true, status: 'pending' });
+};
+
+const newsletterConfirmHandler = async (req, res) => {
+  const payload = await readPayload(req, res);
+  if (!payload) return;
+
+  const entry = Array.from(subscribers.entries()).find(([, item]) => item.token === payload.token);
+  if (!entry) {
+    sendJson(res, 404, { ok: false, error: 'Invalid or expired token' });
+    return;
+  }
+  entry[1].confirmed = true;
+  console.log('[mock-api] newsletter confirmed:', entry[0]);
+  sendJson(res, 200, { ok: true, status: 'subscribed' });
+};
+
+const routes = {
+  '/api/leads': leadsHandler,
+  '/api/newsletter': newsletterHandler,
+  '/api/newsletter/confirm': newsletterConfirmHandler
+};
+
+const attach = (server) => {
+  server.middlewares.use((req, res, next) => {
+    const path = (req.url || '').split('?')[0];
+    const handler = routes[path];
+    if (!handler) {
+      next();
+      return;
+    }
+    handler(req, res).catch((e) => {
+      console.error('[mock-api]', e);
+      sendJson(res, 500, { ok: false, error: 'Mock handler crashed' });
+    });
+  });
+};
+
+export function mockApi() {
+  return {
+    name: 'lantrn-mock-api',
+    configureServer: attach,
+    configurePreviewServer: attach
+  };
+}
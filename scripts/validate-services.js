@@ -0,0 +1,246 @@
+/* Services catalog schema check (src/data/services.json).
+   - Run by the Vite plugin on dev start / build, and standalone:
+     `node scripts/validate-services.js`
+   - Copy is plain text only: markup in any string is rejected
+   - Prices are structured ({ amount, currency, unit }); the currency must be in
+     src/data/exchange-rates.json so the page can convert it. The copy itself must not
+     quote an amount: it would not follow the display currency
+   - src/data/pricing-rules.json (trip estimate) may only name services with an hourly,
+     daily or package price
+*/
+
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const CATALOG_PATH = resolve(root, 'src/data/services.json');
+export const RATES_PATH = resolve(root, 'src/data/exchange-rates.json');
+export const RULES_PATH = resolve(root, 'src/data/pricing-rules.json');
+
+const readRateCodes = () => {
+  try {
+    return Object.keys(JSON.parse(readFileSync(RATES_PATH, 'utf8')).rates || {});
+  } catch (e) {
+    return [];
+  }
+};
+
+const KEY_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MARKUP_RE = /[<>]/;
+const AMOUNT_RE = /[$€£¥]\s?\d|\d\s?[$€£¥]/;
+
+// field -> { type, required, min/max (string length or array items), oneOf, item }
+const SERVICE_SCHEMA = {
+  key: { type: 'string', required: true, pattern: KEY_RE },
+  title: { type: 'string', required: true, max: 60 },
+  image: { type: 'string', required: true, asset: true },
+  // No amount = "Custom quote". unit: per hour / per day, or one flat price for the whole
+  // trip ('package', optionally with its length in days); from: true renders "from $X".
+  price: {
+    type: 'object',
+    required: true,
+    fields: {
+      amount: { type: 'number', min: 0 },
+      currency: { type: 'string', required: true, pattern: /^[A-Z]{3}$/ },
+      unit: { type: 'string', oneOf: ['hour', 'day', 'package'] },
+      days: { type: 'number', min: 1 },
+      from: { type: 'boolean' }
+    }
+  },
+  dateMode: { type: 'string', oneOf: ['single', 'range'] },
+  summary: { type: 'string', required: true, max: 160 },
+  headline: { type: 'array', required: true, min: 1, max: 3, item: { type: 'string' } },
+  body: { type: 'array', required: true, min: 1, max: 2, item: { type: 'string' } },
+  facts: {
+    type: 'array',
+    required: true,
+    min: 1,
+    max: 4,
+    item: {
+      type: 'object',
+      fields: {
+        label: { type: 'string', required: true, max: 30 },
+        value: { type: 'string', max: 60 },
+        // Shows the service price (formatted and converted like the price box) instead of value.
+        price: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+const checkValue = (value, rule, path, errors) => {
+  const actual = typeOf(value);
+  if (actual !== rule.type) {
+    errors.push(`${path}: expected ${rule.type}, got ${actual}`);
+    return;
+  }
+
+  if (rule.type === 'string') {
+    if (!value.trim()) errors.push(`${path}: must not be empty`);
+    if (MARKUP_RE.test(value)) errors.push(`${path}: must be plain text (found "<" or ">")`);
+    if (rule.max && value.length > rule.max) errors.push(`${path}: longer than ${rule.max} characters`);
+    if (rule.pattern && !rule.pattern.test(value)) errors.push(`${path}: "${value}" does not match ${rule.pattern}`);
+    if (rule.oneOf && !rule.oneOf.includes(value)) errors.push(`${path}: must be one of ${rule.oneOf.join(', ')}`);
+    if (rule.asset) {
+      const file = resolve(root, 'public', decodeURI(value).replace(/^\//, ''));
+      if (!value.startsWith('/')) {
+        errors.push(`${path}: must be a root-relative path like /assets/...`);
+      } else if (!existsSync(file)) {
+        errors.push(`${path}: ${value} not found in public/`);
+      }
+    }
+    return;
+  }
+
+  if (rule.type === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path}: must be a finite number`);
+    if (rule.min !== undefined && value < rule.min) errors.push(`${path}: must be at least ${rule.min}`);
+    return;
+  }
+
+  if (rule.type === 'array') {
+    if (rule.min && value.length < rule.min) errors.push(`${path}: needs at least ${rule.min} item(s)`);
+    if (rule.max && value.length > rule.max) errors.push(`${path}: allows at most ${rule.max} item(s)`);
+    value.forEach((item, i) => checkValue(item, rule.item, `${path}[${i}]`, errors));
+    return;
+  }
+
+  if (rule.type === 'object') {
+    checkObject(value, rule.fields, path, errors);
+  }
+};
+
+function checkObject(obj, fields, path, errors) {
+  Object.keys(obj).forEach((name) => {
+    if (!fields[name]) errors.push(`${path}.${name}: unknown field`);
+  });
+  Object.entries(fields).forEach(([name, rule]) => {
+    if (obj[name] === undefined) {
+      if (rule.required) errors.push(`${path}.${name}: is required`);
+      return;
+    }
+    checkValue(obj[name], rule, `${path}.${name}`, errors);
+  });
+}
+
+// Rules that span fields, which the per-field schema cannot express.
+const checkPricing = (service, path, errors) => {
+  const { price } = service;
+  if (typeOf(price) === 'object') {
+    // Read on every run, so editing the rate table is picked up by the dev watcher too.
+    const codes = readRateCodes();
+    if (typeof price.currency === 'string' && !codes.includes(price.currency)) {
+      errors.push(`${path}.price.currency: "${price.currency}" is not in exchange-rates.json (${codes.join(', ')})`);
+    }
+    if (price.amount !== undefined && price.unit === undefined) errors.push(`${path}.price.unit: is required with an amount`);
+    if (price.amount === undefined && (price.unit !== undefined || price.from !== undefined)) {
+      errors.push(`${path}.price: unit / from need an amount (leave them out for a custom quote)`);
+    }
+    if (price.days !== undefined && price.unit !== 'package') errors.push(`${path}.price.days: only applies to unit "package"`);
+  }
+  ['summary', 'headline', 'body'].forEach((name) => {
+    const texts = typeOf(service[name]) === 'array' ? service[name] : [service[name]];
+    if (texts.some((text) => typeof text === 'string' && AMOUNT_RE.test(text))) {
+      errors.push(`${path}.${name}: quotes a price; use the structured price (a fact with "price": true)`);
+    }
+  });
+  if (typeOf(service.facts) === 'array') {
+    service.facts.forEach((fact, i) => {
+      if (typeOf(fact) !== 'object') return;
+      if (fact.value === undefined && fact.price !== true) errors.push(`${path}.facts[${i}]: needs a value or "price": true`);
+    });
+  }
+};
+
+// The estimator skips rules it cannot match, so a renamed key would fail silently.
+const checkRules = (services, errors) => {
+  let rules;
+  try {
+    rules = JSON.parse(readFileSync(RULES_PATH, 'utf8'));
+  } catch (e) {
+    errors.push(`pricing-rules.json: ${e.message}`);
+    return;
+  }
+  if (typeOf(rules.services) !== 'object') return;
+  Object.entries(rules.services).forEach(([key, rule]) => {
+    const path = `pricing-rules.json services.${key}`;
+    const service = services.find((item) => item && item.key === key);
+    if (!service) {
+      errors.push(`${path}: no service with this key in services.json`);
+    } else if (!service.price || typeof service.price.amount !== 'number') {
+      errors.push(`${path}: the service has no amount (custom quote), so it is never estimated`);
+    }
+    ['minHours', 'guestsPerVehicle'].forEach((name) => {
+      if (rule[name] !== undefined) checkValue(rule[name], { type: 'number', min: 1 }, `${path}.${name}`, errors);
+    });
+  });
+};
+
+export const validateCatalog = (catalog) => {
+  const errors = [];
+  if (typeOf(catalog) !== 'object' || typeOf(catalog.services) !== 'array') {
+    return ['root: expected { "services": [...] }'];
+  }
+  if (!catalog.services.length) errors.push('services: must list at least one service');
+
+  const seen = new Set();
+  catalog.services.forEach((service, i) => {
+    const path = `services[${i}]`;
+    if (typeOf(service) !== 'object') {
+      errors.push(`${path}: expected object`);
+      return;
+    }
+    checkObject(service, SERVICE_SCHEMA, path, errors);
+    checkPricing(service, path, errors);
+    if (typeof service.key === 'string') {
+      if (seen.has(service.key)) errors.push(`${path}.key: duplicate key "${service.key}"`);
+      seen.add(service.key);
+    }
+  });
+  checkRules(catalog.services, errors);
+  return errors;
+};
+
+export const validateCatalogFile = (file = CATALOG_PATH) => {
+  let catalog;
+  try {
+    catalog = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    return [`${file}: ${e.message}`];
+  }
+  return validateCatalog(catalog);
+};
+
+const formatErrors = (errors) => `services.json is invalid:\n  - ${errors.join('\n  - ')}`;
+
+// Vite plugin: fails the build, and reports in dev whenever the catalog is saved.
+export const servicesCatalog = () => ({
+  name: 'services-catalog',
+  buildStart() {
+    this.addWatchFile(CATALOG_PATH);
+    this.addWatchFile(RATES_PATH);
+    this.addWatchFile(RULES_PATH);
+    const errors = validateCatalogFile();
+    if (errors.length) this.error(formatErrors(errors));
+  },
+  configureServer(server) {
+    server.watcher.on('change', (file) => {
+      if (![CATALOG_PATH, RATES_PATH, RULES_PATH].includes(resolve(file))) return;
+      const errors = validateCatalogFile();
+      if (errors.length) server.config.logger.error(formatErrors(errors));
+    });
+  }
+});
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const errors = validateCatalogFile();
+  if (errors.length) {
+    console.error(formatErrors(errors));
+    process.exit(1);
+  }
+  console.log('services.json OK');
+}
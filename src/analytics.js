@@ -0,0 +1,156 @@
+/* Analytics event bus:
+   - track(EVENTS.X, props) from anywhere; unknown events or missing props are dropped
+   - Sinks are plain functions ({ name, props, ts }) => void, added with addSink()
+   - Nothing reaches a sink until analytics consent is granted; earlier events
+     wait in a short queue and are discarded if consent is refused
+   - ?analytics-debug logs every event to the console; ?analytics-test records
+     them on window.__analyticsEvents for assertions
+*/
+
+import { getConsent, hasConsent } from './consent.js';
+
+export const EVENTS = {
+  SCREEN_ENTERED: 'screen_entered',
+  SERVICE_VIEWED: 'carousel_service_viewed',
+  STEP_VIEWED: 'step_viewed',
+  TEAM_CARD_FLIPPED: 'team_card_flipped',
+  MODAL_OPENED: 'modal_opened',
+  MODAL_CLOSED: 'modal_closed',
+  MODAL_ABANDONED: 'modal_abandoned',
+  FORM_SUBMITTED: 'form_submitted',
+  FORM_FAILED: 'form_failed'
+};
+
+// Required props per event; anything else passed along is kept as-is.
+const SCHEMA = {
+  [EVENTS.SCREEN_ENTERED]: ['screen'],
+  [EVENTS.SERVICE_VIEWED]: ['service', 'index', 'trigger'],
+  [EVENTS.STEP_VIEWED]: ['screen', 'step'],
+  [EVENTS.TEAM_CARD_FLIPPED]: ['member', 'flipped'],
+  [EVENTS.MODAL_OPENED]: ['modal', 'source'],
+  [EVENTS.MODAL_CLOSED]: ['modal', 'reason'],
+  [EVENTS.MODAL_ABANDONED]: ['modal', 'reason'],
+  [EVENTS.FORM_SUBMITTED]: ['form', 'result'],
+  [EVENTS.FORM_FAILED]: ['form', 'reason']
+};
+
+const PENDING_MAX = 50;
+
+const sinks = new Set();
+let pending = [];
+
+const deliver = (event) => {
+  sinks.forEach((sink) => {
+    try {
+      sink(event);
+    } catch (e) {
+      // A broken sink must never break the page.
+    }
+  });
+};
+
+export const addSink = (sink) => {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+};
+
+export const track = (name, props) => {
+  const required = SCHEMA[name];
+  const data = props || {};
+  if (!required) {
+    if (import.meta.env.DEV) console.warn('[analytics] unknown event', name);
+    return;
+  }
+  const missing = required.filter((key) => data[key] === undefined || data[key] === null);
+  if (missing.length) {
+    if (import.meta.env.DEV) console.warn('[analytics]', name, 'missing', missing.join(', '));
+    return;
+  }
+
+  const event = { name, props: { ...data }, ts: Date.now() };
+  if (hasConsent('analytics')) {
+    deliver(event);
+    return;
+  }
+  // Already refused: drop. Not asked yet: hold until the banner is answered.
+  if (getConsent()) return;
+  pending.push(event);
+  if (pending.length > PENDING_MAX) pending = pending.slice(-PENDING_MAX);
+};
+
+export const createDebugSink = () => (event) => {
+  console.log('[analytics]', event.name, event.props);
+};
+
+export const createTestSink = () => {
+  const events = [];
+  const sink = (event) => events.push(event);
+  sink.events = events;
+  sink.find = (name) => events.filter((event) => event.name === name);
+  sink.clear = () => {
+    events.length = 0;
+  };
+  return sink;
+};
+
+// Clarity custom events (tag loads only after consent, see consent.js).
+export const createClaritySink = () => (event) => {
+  if (typeof window.clarity !== 'function') return;
+  window.clarity('event', event.name);
+};
+
+const trackModals = () => {
+  const touched = new WeakSet();
+  const modalName = (modal) => modal.id.replace(/-modal$/, '');
+
+  document.addEventListener('modalopen', (e) => {
+    const modal = e.target;
+    if (!(modal instanceof HTMLElement)) return;
+    touched.delete(modal);
+    track(EVENTS.MODAL_OPENED, { modal: modalName(modal), source: e.detail.source });
+  });
+
+  document.addEventListener('input', (e) => {
+    const modal = e.target instanceof HTMLElement ? e.target.closest('.modal') : null;
+    if (modal) touched.add(modal);
+  });
+  document.addEventListener('change', (e) => {
+    const modal = e.target instanceof HTMLElement ? e.target.closest('.modal') : null;
+    if (modal) touched.add(modal);
+  });
+
+  document.addEventListener('modalclose', (e) => {
+    const modal = e.target;
+    if (!(modal instanceof HTMLElement)) return;
+    const name = modalName(modal);
+    const { reason } = e.detail;
+    track(EVENTS.MODAL_CLOSED, { modal: name, reason });
+
+    // Started filling a lead form and left without a successful send.
+    const form = modal.querySelector('.modal__form');
+    const state = form ? form.dataset.state : '';
+    if (form && touched.has(modal) && state !== 'success' && state !== 'queued') {
+      track(EVENTS.MODAL_ABANDONED, { modal: name, reason });
+    }
+    touched.delete(modal);
+  });
+};
+
+export function initAnalytics() {
+  const params = new URLSearchParams(window.location.search);
+  addSink(createClaritySink());
+  if (params.has('analytics-debug')) addSink(createDebugSink());
+  if (params.has('analytics-test')) {
+    const testSink = createTestSink();
+    addSink(testSink);
+    window.__analyticsEvents = testSink;
+  }
+
+  document.addEventListener('consentchange', () => {
+    const queued = pending;
+    pending = [];
+    if (hasConsent('analytics')) queued.forEach(deliver);
+  });
+
+  trackModals();
+}
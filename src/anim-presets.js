@@ -0,0 +1,168 @@
+/* Declarative screen animations:
+   - Markup opts in per element: data-anim="text|object|instant|env" (entry preset)
+   - data-anim-order="n": lower numbers play first; equal numbers start together
+     (elements without it follow in document order)
+   - data-anim-stagger="0.08": animate the element's children one after another
+     instead of the element itself
+   - data-anim-exit="sink|fade": played when the screen is left, before the reset
+   - Screens without any [data-anim] fall back to their [data-layer] blocks
+   - registerAnimPreset() / registerExitPreset() add presets without touching the builder
+*/
+
+import { gsap } from 'gsap';
+
+const BASE_FROM = { autoAlpha: 0, y: 24 };
+const BASE_TO = { autoAlpha: 1, y: 0, duration: 0.6 };
+
+// `overlap`: seconds the group starts before the previous one ends.
+const enterPresets = {
+  env: { from: { y: 0 }, to: { duration: 0.5 }, overlap: 0 },
+  text: { from: { y: 14 }, to: { duration: 0.38 }, overlap: 0.3 },
+  instant: { from: { y: 10, autoAlpha: 1 }, to: { duration: 0.2, autoAlpha: 1 }, overlap: 0.3 },
+  object: {
+    from: { y: 28, z: -60, rotationX: 6, scale: 0.98, transformPerspective: 900, filter: 'blur(10px)' },
+    // A leftover inline filter would flatten 3D children (e.g. the team flip cards).
+    to: { duration: 0.7, filter: 'blur(0px)', clearProps: 'filter' },
+    overlap: 0.4
+  }
+};
+
+const exitPresets = {
+  sink: { autoAlpha: 0, y: 26, scale: 0.98, duration: 0.35, stagger: 0.06 },
+  fade: { autoAlpha: 0, duration: 0.25 }
+};
+
+const LAYER_PRESETS = { env: 'env', type: 'text', text: 'text', figure: 'object' };
+
+// Live timelines by screen (read by the ?motion-debug audit).
+const registry = new Map();
+
+export const getScreenTimelines = () => registry;
+
+export const registerAnimPreset = (name, preset) => {
+  enterPresets[name] = { from: {}, to: {}, overlap: 0.3, ...preset };
+};
+
+export const registerExitPreset = (name, vars) => {
+  exitPresets[name] = vars;
+};
+
+export const getAnimPreset = (name) => enterPresets[name] || null;
+
+export const getExitPreset = (name) => exitPresets[name] || null;
+
+const readNumber = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+// One group per [data-anim] element (or per [data-layer] block on unannotated screens).
+const collectGroups = (screen) => {
+  let nodes = Array.from(screen.querySelectorAll('[data-anim]'));
+  const declared = nodes.length > 0;
+  if (!declared) nodes = Array.from(screen.querySelectorAll('[data-layer]'));
+
+  const seen = new Set();
+  const groups = nodes.map((node, index) => {
+    const name = declared ? node.dataset.anim : LAYER_PRESETS[node.dataset.layer];
+    const stagger = readNumber(node.dataset.animStagger);
+    const targets = (stagger === null ? [node] : Array.from(node.children)).filter((el) => !seen.has(el));
+    targets.forEach((el) => seen.add(el));
+    return {
+      node,
+      index,
+      preset: getAnimPreset(name),
+      targets,
+      stagger,
+      order: readNumber(node.dataset.animOrder),
+      exit: getExitPreset(node.dataset.animExit)
+    };
+  });
+
+  // Stable sort: explicit order first, the rest keeps document order.
+  return groups
+    .filter((group) => group.preset && group.targets.length)
+    .sort((a, b) => {
+      const ao = a.order === null ? Infinity : a.order;
+      const bo = b.order === null ? Infinity : b.order;
+      return ao === bo ? a.index - b.index : ao - bo;
+    });
+};
+
+// -> { screen, tl, targets, play, reset, exit(onDone), clear } for one [data-screen].
+export function createScreenTimeline(screen) {
+  const tl = gsap.timeline({ paused: true, defaults: { ease: 'power3.out' } });
+  const resetters = [];
+  const animated = [];
+  const exits = [];
+  let previousOrder;
+
+  collectGroups(screen).forEach((group, i) => {
+    const { preset, targets } = group;
+    const from = { ...BASE_FROM, ...preset.from };
+    const to = { ...BASE_TO, ...preset.to };
+    if (group.stagger !== null) to.stagger = group.stagger;
+
+    gsap.set(targets, from);
+    // Exit presets may touch props the entry does not (e.g. scale), so start from a clean slate.
+    resetters.push(() => {
+      gsap.set(targets, { clearProps: 'transform,filter' });
+      gsap.set(targets, from);
+    });
+    animated.push(...targets);
+    if (group.exit) exits.push({ targets, vars: group.exit });
+
+    let position;
+    if (i > 0 && group.order !== null && group.order === previousOrder) {
+      position = '<';
+    } else if (i > 0 && preset.overlap) {
+      position = `-=${preset.overlap}`;
+    }
+    previousOrder = group.order;
+    tl.to(targets, to, position);
+  });
+
+  const reset = () => resetters.forEach((fn) => fn());
+  let exitTweens = [];
+
+  const entry = {
+    screen,
+    tl,
+    targets: animated,
+    reset,
+    // Re-entering mid-exit: drop the exit so its reset cannot hide the fresh entry.
+    play: () => {
+      exitTweens.forEach((tween) => tween.kill());
+      exitTweens = [];
+      tl.restart(true);
+    },
+    // Plays the data-anim-exit tweens from the current state, then rewinds and resets.
+    // Returns false when the screen has none.
+    exit: (onDone) => {
+      if (!exits.length) return false;
+      let pending = exits.length;
+      exitTweens = exits.map(({ targets, vars }) => gsap.to(targets, {
+        ...vars,
+        onComplete: () => {
+          pending -= 1;
+          if (pending) return;
+          exitTweens = [];
+          tl.pause(0);
+          reset();
+          if (onDone) onDone();
+        }
+      }));
+      return true;
+    },
+    // Hand the elements back to CSS when leaving the full profile.
+    clear: () => {
+      tl.kill();
+      if (registry.get(screen) === entry) registry.delete(screen);
+      if (!animated.length) return;
+      gsap.killTweensOf(animated);
+      gsap.set(animated, { clearProps: 'opacity,visibility,transform,filter' });
+    }
+  };
+  registry.set(screen, entry);
+  return entry;
+}
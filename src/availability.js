@@ -0,0 +1,54 @@
+/* Availability feed (Plan a trip dates):
+   - { "unavailable": ["YYYY-MM-DD"], "ranges": [{ "start", "end" }] } from the date
+     field's data-availability URL, fetched once per URL and shared by every reader
+     (the trip calendar, the Book / ?date= prefill)
+   - A missing or broken feed blocks nothing: the bookable window still applies
+*/
+
+import { parseIsoDate } from './form-validation.js';
+
+// url -> Promise<Set of blocked YYYY-MM-DD>
+const requests = new Map();
+
+const isoDay = (date) => {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const expandAvailability = (data) => {
+  const days = new Set(Array.isArray(data && data.unavailable) ? data.unavailable : []);
+  const ranges = Array.isArray(data && data.ranges) ? data.ranges : [];
+  ranges.forEach((range) => {
+    const start = parseIsoDate(range && range.start);
+    const end = parseIsoDate(range && range.end);
+    if (!start || !end) return;
+    for (let d = start; d <= end; d = addDays(d, 1)) {
+      days.add(isoDay(d));
+    }
+  });
+  return days;
+};
+
+// Never rejects: a failed request resolves to an empty set.
+export const loadAvailability = (url) => {
+  if (!url) return Promise.resolve(new Set());
+  if (!requests.has(url)) {
+    requests.set(url, fetch(url, { headers: { Accept: 'application/json' } })
+      .then((res) => (res.ok ? res.json() : {}))
+      .then(expandAvailability)
+      .catch(() => new Set()));
+  }
+  return requests.get(url);
+};
+
+// True when no day from start to end (both included) is blocked.
+export const isRangeOpen = (blocked, start, end) => {
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    if (blocked.has(isoDay(d))) return false;
+  }
+  return true;
+};
@@ -0,0 +1,165 @@
+/* Cookie consent:
+   - Categories: essential (always on) and analytics (opt-in)
+   - Third-party tags register with a category and load only after opt-in
+   - Choice is stored with CONSENT_VERSION; bumping it re-prompts everyone
+   - Banner on first visit, preferences in #cookie-settings-modal (.modal system),
+     reopened from any [data-modal-open="cookie-settings"] or /#cookie-settings
+   - Dispatches `consentchange` on document with the current choices
+*/
+
+import { closeModal, getModal } from './modals.js';
+
+// Bump when the cookie policy changes in a way visitors must re-confirm.
+export const CONSENT_VERSION = 1;
+
+const STORAGE_KEY = 'lantrn:consent';
+const CLARITY_ID = import.meta.env.VITE_CLARITY_ID || 'utb78ynqr0';
+
+export const CATEGORIES = ['essential', 'analytics'];
+
+const tags = [];
+
+const readStored = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    if (!stored || stored.version !== CONSENT_VERSION) return null;
+    return stored;
+  } catch (e) {
+    return null;
+  }
+};
+
+let current = null;
+
+export const getConsent = () => (current ? { ...current.choices } : null);
+
+export const hasConsent = (category) => {
+  if (category === 'essential') return true;
+  return !!(current && current.choices[category]);
+};
+
+const runTags = () => {
+  tags.forEach((tag) => {
+    if (tag.loaded || !hasConsent(tag.category)) return;
+    tag.loaded = true;
+    tag.load();
+  });
+};
+
+// Tags are loaded at most once; revoking consent takes effect through their own opt-out.
+export const registerTag = (category, load, revoke) => {
+  const tag = { category, load, revoke, loaded: false };
+  tags.push(tag);
+  runTags();
+  return tag;
+};
+
+export const setConsent = (choices) => {
+  const previous = current ? current.choices : {};
+  const next = { essential: true };
+  CATEGORIES.forEach((category) => {
+    if (category !== 'essential') next[category] = !!(choices && choices[category]);
+  });
+  current = { version: CONSENT_VERSION, choices: next, updatedAt: new Date().toISOString() };
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+  } catch (e) {
+    // Private mode: the choice still applies for this page view.
+  }
+
+  tags.forEach((tag) => {
+    if (tag.loaded && previous[tag.category] && !next[tag.category] && tag.revoke) tag.revoke();
+  });
+  runTags();
+  document.dispatchEvent(new CustomEvent('consentchange', { detail: getConsent() }));
+};
+
+const expireCookies = (names) => {
+  const host = window.location.hostname;
+  const domains = ['', host, `.${host.split('.').slice(-2).join('.')}`];
+  names.forEach((name) => {
+    domains.forEach((domain) => {
+      document.cookie = `${name}=; Max-Age=0; path=/${domain ? `; domain=${domain}` : ''}`;
+    });
+  });
+};
+
+const loadClarity = () => {
+  const w = window;
+  w.clarity = w.clarity || function clarity() {
+    (w.clarity.q = w.clarity.q || []).push(arguments);
+  };
+  const script = document.createElement('script');
+  script.async = true;
+  script.src = `https://www.clarity.ms/tag/${CLARITY_ID}`;
+  document.head.appendChild(script);
+  w.clarity('consent');
+};
+
+const revokeClarity = () => {
+  if (typeof window.clarity === 'function') window.clarity('consent', false);
+  expireCookies(['_clck', '_clsk', 'CLID', 'MUID']);
+};
+
+const syncForm = (form) => {
+  CATEGORIES.forEach((category) => {
+    const input = form.elements.namedItem(category);
+    if (input) input.checked = hasConsent(category);
+  });
+};
+
+const readForm = (form) => CATEGORIES.reduce((choices, category) => {
+  const input = form.elements.namedItem(category);
+  choices[category] = !!(input && input.checked);
+  return choices;
+}, {});
+
+const acceptAll = () => CATEGORIES.reduce((choices, category) => {
+  choices[category] = true;
+  return choices;
+}, {});
+
+export function initConsent() {
+  current = readStored();
+  if (CLARITY_ID) registerTag('analytics', loadClarity, revokeClarity);
+
+  const banner = document.querySelector('.consent-banner');
+  const modal = getModal('cookie-settings');
+  const form = modal ? modal.querySelector('.consent__form') : null;
+
+  const hideBanner = () => {
+    if (banner) banner.hidden = true;
+  };
+
+  if (banner) {
+    banner.hidden = !!current;
+    banner.addEventListener('click', (e) => {
+      const target = e.target;
+      if (!(target instanceof HTMLElement)) return;
+      const action = target.closest('[data-consent]');
+      if (!action) return;
+      const choice = action.getAttribute('data-consent');
+      if (choice === 'accept') setConsent(acceptAll());
+      if (choice === 'reject') setConsent({});
+      hideBanner();
+    });
+  }
+
+  if (!form) return;
+
+  // Always show the stored state, not whatever was toggled before a Cancel.
+  modal.addEventListener('modalopen', () => syncForm(form));
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const submitter = e.submitter;
+    const choice = submitter ? submitter.getAttribute('data-consent') : null;
+    setConsent(choice === 'accept' ? acceptAll() : readForm(form));
+    syncForm(form);
+    hideBanner();
+    closeModal(modal, { reason: 'saved' });
+  });
+
+  syncForm(form);
+}
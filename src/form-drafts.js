@@ -0,0 +1,269 @@
+/* Form drafts (every .modal__form):
+   - Answers are saved to localStorage while the guest types, one draft per form
+     (named like the lead payload, see getFormName), and expire after DRAFT_TTL_MS.
+     data-draft-storage="session" on a form uses sessionStorage instead (Plan a trip:
+     its contact details should not outlive the tab)
+   - When a saved draft differs from the form, the form opens with a
+     "Continue where you left off / Start over" prompt. Continuing only fills fields still
+     at their default, so a fresh Book / ?service= prefill is kept
+   - While the prompt is up nothing is saved, so a prefill cannot overwrite the draft
+   - A successful (or queued) send resets the form, which deletes its draft
+   - Modules can keep extra state in the draft with registerDraftState
+     (the Plan a trip wizard stores its step) and ask for a save with saveDraft
+*/
+
+import { onLocaleChange, t } from './i18n.js';
+import { getFormName } from './lead-form.js';
+import { formatDate } from './locale.js';
+
+const KEY_PREFIX = 'lantrn:draft:';
+const DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
+const SAVE_DELAY_MS = 400;
+
+// form -> { name: { read(), restore(value) } }
+const draftStates = new WeakMap();
+// form -> schedule() of a managed form
+const savers = new WeakMap();
+
+export const namedFields = (form) => Array.from(form.elements)
+  .filter((el) => el.name && !el.disabled && el.type !== 'button' && el.type !== 'submit');
+
+const isCheckable = (el) => el.type === 'checkbox' || el.type === 'radio';
+
+// name -> string, or array for checkbox groups (services[], interests[])
+const readValues = (form) => {
+  const values = {};
+  namedFields(form).forEach((el) => {
+    if (el.type === 'checkbox') {
+      if (!values[el.name]) values[el.name] = [];
+      if (el.checked) values[el.name].push(el.value);
+    } else if (el.type === 'radio') {
+      if (el.checked) values[el.name] = el.value;
+    } else {
+      values[el.name] = el.value;
+    }
+  });
+  return values;
+};
+
+// A hidden input has no separate default (setting .value rewrites it), so keep the
+// markup value. This module is imported before motion.js runs any init, i.e. before a
+// Book / ?date= prefill can write one.
+const hiddenDefaults = new WeakMap();
+document.querySelectorAll('.modal__form input[type="hidden"]').forEach((el) => {
+  hiddenDefaults.set(el, el.value);
+});
+
+const defaultOf = (el) => {
+  if (el.type !== 'hidden') return el.defaultValue;
+  return hiddenDefaults.has(el) ? hiddenDefaults.get(el) : '';
+};
+
+const isDirty = (form) => namedFields(form).some((el) => (
+  isCheckable(el) ? el.checked !== el.defaultChecked : el.value !== defaultOf(el)
+));
+
+// Fields a draft would fill in: still at their default and different from the draft.
+const restorable = (form, values) => namedFields(form).filter((el) => {
+  if (!(el.name in values)) return false;
+  const value = values[el.name];
+  if (isCheckable(el)) {
+    const wanted = el.type === 'checkbox' ? Array.isArray(value) && value.includes(el.value) : value === el.value;
+    return el.checked === el.defaultChecked && el.checked !== wanted;
+  }
+  return el.value === defaultOf(el) && el.value !== String(value);
+});
+
+// Fires change so dependents follow (calendar mode, estimate, validation).
+const restoreValues = (form, values) => {
+  const changed = restorable(form, values);
+  changed.forEach((el) => {
+    if (isCheckable(el)) {
+      el.checked = !el.checked;
+    } else {
+      el.value = String(values[el.name]);
+    }
+  });
+  // Checkboxes first: services switch the calendar into range mode before the dates arrive.
+  changed.sort((a, b) => (b.type === 'checkbox') - (a.type === 'checkbox'));
+  changed.forEach((el) => el.dispatchEvent(new Event('change', { bubbles: true })));
+};
+
+const storageKey = (form) => `${KEY_PREFIX}${getFormName(form)}`;
+
+// data-draft-storage="session" keeps a form's draft to the tab (sessionStorage).
+const storageFor = (form) => (form.dataset.draftStorage === 'session' ? window.sessionStorage : window.localStorage);
+
+const readDraft = (form) => {
+  try {
+    const storage = storageFor(form);
+    const raw = storage.getItem(storageKey(form));
+    const draft = raw ? JSON.parse(raw) : null;
+    if (!draft || typeof draft.values !== 'object') return null;
+    if (!(Date.now() - draft.savedAt < DRAFT_TTL_MS)) {
+      storage.removeItem(storageKey(form));
+      return null;
+    }
+    return draft;
+  } catch (e) {
+    return null;
+  }
+};
+
+const writeDraft = (form, draft) => {
+  try {
+    const storage = storageFor(form);
+    if (draft) {
+      storage.setItem(storageKey(form), JSON.stringify(draft));
+    } else {
+      storage.removeItem(storageKey(form));
+    }
+  } catch (e) {
+    // Private mode / quota: drafts are a convenience, the form still works.
+  }
+};
+
+export const registerDraftState = (form, name, handlers) => {
+  const states = draftStates.get(form) || {};
+  states[name] = handlers;
+  draftStates.set(form, states);
+};
+
+// For changes that fire no input / change event (e.g. the wizard moving to another step).
+export const saveDraft = (form) => {
+  const schedule = savers.get(form);
+  if (schedule) schedule();
+};
+
+const createPrompt = () => {
+  const prompt = document.createElement('div');
+  prompt.className = 'modal__draft';
+  prompt.setAttribute('role', 'group');
+  prompt.hidden = true;
+
+  const text = document.createElement('p');
+  text.className = 'modal__draft-text';
+
+  const actions = document.createElement('div');
+  actions.className = 'modal__draft-actions';
+  const resume = document.createElement('button');
+  resume.type = 'button';
+  resume.className = 'modal__draft-continue';
+  const discard = document.createElement('button');
+  discard.type = 'button';
+  discard.className = 'modal__draft-discard';
+  actions.append(resume, discard);
+
+  prompt.append(text, actions);
+  return { prompt, text, resume, discard };
+};
+
+const firstVisibleField = (form) => namedFields(form)
+  .find((el) => el.type !== 'hidden' && !el.closest('[hidden]')) || null;
+
+export function initFormDrafts() {
+  const forms = Array.from(document.querySelectorAll('.modal .modal__form'));
+
+  forms.forEach((form) => {
+    const modal = form.closest('.modal');
+    const ui = createPrompt();
+    form.prepend(ui.prompt);
+
+    let pending = null;
+    let timer = null;
+
+    const save = () => {
+      timer = null;
+      if (pending) return;
+      if (!isDirty(form)) {
+        writeDraft(form, null);
+        return;
+      }
+      const states = draftStates.get(form) || {};
+      const extra = {};
+      Object.keys(states).forEach((name) => {
+        extra[name] = states[name].read();
+      });
+      writeDraft(form, { savedAt: Date.now(), values: readValues(form), extra });
+    };
+
+    const schedule = () => {
+      if (pending) return;
+      if (timer) window.clearTimeout(timer);
+      timer = window.setTimeout(save, SAVE_DELAY_MS);
+    };
+
+    const label = () => {
+      if (!pending) return;
+      ui.prompt.setAttribute('aria-label', t('drafts.label', 'Unfinished request'));
+      ui.text.textContent = t('drafts.found', 'You have an unfinished request from {time}.', {
+        time: formatDate(new Date(pending.savedAt), { dateStyle: 'medium', timeStyle: 'short' })
+      });
+      ui.resume.textContent = t('drafts.continue', 'Continue where you left off');
+      ui.discard.textContent = t('drafts.discard', 'Start over');
+    };
+
+    const settle = () => {
+      pending = null;
+      ui.prompt.hidden = true;
+      save();
+    };
+
+    // The prompt button just disappeared under the focus: move it into the form.
+    const refocus = () => {
+      if (!modal || !modal.classList.contains('is-open')) return;
+      if (document.activeElement && form.contains(document.activeElement) && !document.activeElement.closest('[hidden]')) return;
+      const field = firstVisibleField(form);
+      if (field) field.focus();
+    };
+
+    ui.resume.addEventListener('click', () => {
+      const draft = pending;
+      if (!draft) return;
+      restoreValues(form, draft.values);
+      const states = draftStates.get(form) || {};
+      Object.keys(states).forEach((name) => {
+        if (draft.extra && name in draft.extra) states[name].restore(draft.extra[name]);
+      });
+      settle();
+      refocus();
+    });
+
+    ui.discard.addEventListener('click', () => {
+      writeDraft(form, null);
+      settle();
+      refocus();
+    });
+
+    form.addEventListener('input', schedule);
+    form.addEventListener('change', schedule);
+    form.addEventListener('reset', () => {
+      if (timer) window.clearTimeout(timer);
+      timer = null;
+      pending = null;
+      ui.prompt.hidden = true;
+      writeDraft(form, null);
+    });
+
+    if (modal) {
+      modal.addEventListener('modalopen', () => {
+        if (pending) ui.resume.focus();
+      });
+      // Closing is exactly when a guest expects their answers to be kept.
+      modal.addEventListener('modalclose', () => {
+        if (timer) save();
+      });
+    }
+    onLocaleChange(label);
+
+    savers.set(form, schedule);
+
+    const draft = readDraft(form);
+    if (draft && restorable(form, draft.values).length) {
+      pending = draft;
+      label();
+      ui.prompt.hidden = false;
+      if (modal && modal.classList.contains('is-open')) ui.resume.focus();
+    }
+  });
+}
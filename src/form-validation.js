@@ -0,0 +1,277 @@
+/* Form validation (shared by every .modal__form):
+   - Rules are declared in markup: `required`, data-validate="email|phone|date",
+     data-min-days / data-max-days for the bookable window (dates may be a single
+     YYYY-MM-DD or a YYYY-MM-DD/YYYY-MM-DD range when data-date-mode="range"), and
+     data-validate-any="services[] comment" on the form for "at least one of"
+   - Messages can be overridden per field with data-error-required / -invalid / -range;
+     the defaults below are the English fallback for the validation.* dictionary keys
+   - Errors render inline with aria-invalid + aria-describedby wiring
+     A localized date input points at its hidden ISO field with data-iso-field="name"
+*/
+
+import { t } from './i18n.js';
+import { formatDisplayDate } from './locale.js';
+
+const MESSAGES = {
+  required: 'This field is required.',
+  email: 'Enter a valid email address, e.g. you@email.com.',
+  phone: 'Enter a valid phone number, e.g. +1 (555) 000-0000 or +44 20 7946 0958.',
+  date: 'Pick a date from the calendar.',
+  dateEnd: 'Pick an end date for your trip.',
+  datePast: 'Please choose a date in the future.',
+  dateRange: 'We can take bookings from {min} to {max}.',
+  any: 'Please choose at least one option.'
+};
+
+const messageText = (key, vars) => t(`validation.${key}`, MESSAGES[key], vars);
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const errorEls = new WeakMap();
+let errorSeq = 0;
+
+export const normalizePhone = (raw) => {
+  const value = String(raw || '').trim();
+  if (!value) return null;
+  if (/[^\d\s()+.-]/.test(value)) return null;
+
+  const hasPlus = value.startsWith('+') || value.startsWith('00');
+  let digits = value.replace(/\D/g, '');
+  if (value.startsWith('00')) digits = digits.slice(2);
+
+  // North American numbers: 10 digits, or 11 with the leading country code.
+  const nanp = !hasPlus && digits.length === 10 ? digits
+    : digits.length === 11 && digits.startsWith('1') ? digits.slice(1)
+      : null;
+  if (nanp) {
+    if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(nanp)) return null;
+    return {
+      e164: `+1${nanp}`,
+      display: `+1 (${nanp.slice(0, 3)}) ${nanp.slice(3, 6)}-${nanp.slice(6)}`
+    };
+  }
+
+  // Anything else must carry an explicit country code (E.164: up to 15 digits).
+  if (!hasPlus || digits.length < 8 || digits.length > 15 || digits.startsWith('0')) return null;
+  return { e164: `+${digits}`, display: `+${digits}` };
+};
+
+export const isValidEmail = (value) => EMAIL_RE.test(String(value || '').trim());
+
+export const parseIsoDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [y, m, d] = match.slice(1).map((v) => parseInt(v, 10));
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return date;
+};
+
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const toNumber = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// Bookable window for a date field, relative to today.
+export const getDateWindow = (el) => {
+  const today = startOfToday();
+  return {
+    min: addDays(today, toNumber(el.dataset.minDays, 1)),
+    max: addDays(today, toNumber(el.dataset.maxDays, 365))
+  };
+};
+
+const isoValueOf = (el) => {
+  const field = el.form && el.dataset.isoField ? el.form.elements.namedItem(el.dataset.isoField) : null;
+  return field ? field.value : el.value;
+};
+
+const validators = {
+  email: (el) => (isValidEmail(el.value) ? null : { reason: 'invalid', message: messageText('email') }),
+
+  phone: (el, commit) => {
+    const phone = normalizePhone(el.value);
+    if (!phone) return { reason: 'invalid', message: messageText('phone') };
+    // Only reformat once the guest is done typing, never under the caret.
+    if (commit) el.value = phone.display;
+    return null;
+  },
+
+  date: (el) => {
+    const [startRaw, endRaw] = isoValueOf(el).split('/');
+    const start = parseIsoDate(startRaw);
+    if (!start) return { reason: 'invalid', message: messageText('date') };
+    const days = [start];
+    if (el.dataset.dateMode === 'range') {
+      const end = parseIsoDate(endRaw);
+      if (!end || end <= start) return { reason: 'invalid', message: messageText('dateEnd') };
+      days.push(end);
+    }
+    const { min, max } = getDateWindow(el);
+    if (start < startOfToday()) return { reason: 'range', message: messageText('datePast') };
+    if (days.some((date) => date < min || date > max)) {
+      return {
+        reason: 'range',
+        message: messageText('dateRange', { min: formatDisplayDate(min), max: formatDisplayDate(max) })
+      };
+    }
+    return null;
+  }
+};
+
+export const registerValidator = (name, fn) => {
+  validators[name] = fn;
+};
+
+const messageFor = (el, result) => {
+  const key = `error${result.reason.charAt(0).toUpperCase()}${result.reason.slice(1)}`;
+  return el.dataset[key] || result.message;
+};
+
+const isBlank = (el) => {
+  if (el.type === 'checkbox' || el.type === 'radio') return !el.checked;
+  return !String(el.value || '').trim();
+};
+
+export const validateField = (el, commit) => {
+  if (el.disabled) return null;
+  if (isBlank(el)) {
+    return el.required ? { reason: 'required', message: messageText('required') } : null;
+  }
+  const rules = (el.dataset.validate || '').split(/\s+/).filter(Boolean);
+  for (const rule of rules) {
+    const fn = validators[rule];
+    if (!fn) continue;
+    const result = fn(el, commit);
+    if (result) return result;
+  }
+  return null;
+};
+
+const ensureErrorEl = (anchor, host) => {
+  if (errorEls.has(anchor)) return errorEls.get(anchor);
+  errorSeq += 1;
+  const errorEl = document.createElement('span');
+  errorEl.className = 'modal__error';
+  errorEl.id = `modal-error-${errorSeq}`;
+  errorEl.hidden = true;
+  if (host) {
+    host.appendChild(errorEl);
+  } else {
+    anchor.insertAdjacentElement('afterend', errorEl);
+  }
+  errorEls.set(anchor, errorEl);
+  return errorEl;
+};
+
+const setDescribedBy = (el, id, on) => {
+  const tokens = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter((t) => t && t !== id);
+  if (on) tokens.push(id);
+  if (tokens.length) {
+    el.setAttribute('aria-describedby', tokens.join(' '));
+  } else {
+    el.removeAttribute('aria-describedby');
+  }
+};
+
+const renderError = (targets, anchor, host, message) => {
+  const errorEl = ensureErrorEl(anchor, host);
+  errorEl.textContent = message || '';
+  errorEl.hidden = !message;
+  targets.forEach((el) => {
+    if (message) {
+      el.setAttribute('aria-invalid', 'true');
+    } else {
+      el.removeAttribute('aria-invalid');
+    }
+    setDescribedBy(el, errorEl.id, !!message);
+  });
+};
+
+const getFields = (form) => Array.from(form.querySelectorAll('input, textarea, select'))
+  .filter((el) => el.type !== 'hidden' && ((el.name && el.required) || el.dataset.validate));
+
+const getAnyGroup = (form) => {
+  const names = (form.dataset.validateAny || '').split(/\s+/).filter(Boolean);
+  if (!names.length) return null;
+  const members = Array.from(form.elements).filter((el) => names.includes(el.name));
+  if (!members.length) return null;
+  const target = form.dataset.validateAnyTarget;
+  const anchor = (target && form.querySelector(target)) || members[0];
+  return { members, anchor };
+};
+
+const checkField = (el, commit) => {
+  const result = validateField(el, commit);
+  const host = el.closest('.modal__field');
+  renderError([el], el, host, result ? messageFor(el, result) : '');
+  return !result;
+};
+
+const checkAnyGroup = (form) => {
+  const group = getAnyGroup(form);
+  if (!group) return true;
+  const ok = group.members.some((el) => !isBlank(el));
+  const message = ok ? '' : form.dataset.validateAnyMessage || messageText('any');
+  renderError([group.anchor], group.anchor, null, message);
+  return ok;
+};
+
+// Validates every declared rule, renders all errors and focuses the first invalid field.
+// scope (optional, array of containers) limits it to part of the form, e.g. the wizard
+// steps seen so far; an "at least one of" group is only checked once all of it is in scope.
+export const validateForm = (form, scope) => {
+  const inScope = (el) => !scope || scope.some((container) => container.contains(el));
+  const group = getAnyGroup(form);
+  let firstInvalid = null;
+  getFields(form).filter(inScope).forEach((el) => {
+    if (!checkField(el, true) && !firstInvalid) firstInvalid = el;
+  });
+  if (group && group.members.every(inScope) && !checkAnyGroup(form) && !firstInvalid) {
+    firstInvalid = group.members.find((el) => typeof el.focus === 'function') || null;
+  }
+  if (firstInvalid) {
+    firstInvalid.focus();
+    return false;
+  }
+  return true;
+};
+
+export const clearValidation = (form) => {
+  getFields(form).forEach((el) => renderError([el], el, el.closest('.modal__field'), ''));
+  const group = getAnyGroup(form);
+  if (group) renderError([group.anchor], group.anchor, null, '');
+};
+
+export function initFormValidation() {
+  const forms = Array.from(document.querySelectorAll('.modal__form'));
+
+  forms.forEach((form) => {
+    form.setAttribute('novalidate', '');
+
+    const onFieldEvent = (e) => {
+      const el = e.target;
+      if (!(el instanceof HTMLElement)) return;
+      const group = getAnyGroup(form);
+      if (group && group.members.includes(el)) {
+        if (group.anchor.getAttribute('aria-invalid') === 'true') checkAnyGroup(form);
+      }
+      if (!getFields(form).includes(el)) return;
+      // Validate on leave / commit; while typing only clear an error that is already shown.
+      if (e.type === 'input' && el.getAttribute('aria-invalid') !== 'true') return;
+      checkField(el, e.type !== 'input');
+    };
+
+    form.addEventListener('focusout', onFieldEvent);
+    form.addEventListener('change', onFieldEvent);
+    form.addEventListener('input', onFieldEvent);
+    form.addEventListener('reset', () => clearValidation(form));
+  });
+}
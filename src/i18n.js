@@ -0,0 +1,176 @@
+/* i18n (content dictionaries + language switcher):
+   - One JSON dictionary per language in src/locales/<code>.json (nested keys,
+     looked up as 'nav.services'); English ships in the bundle, the rest load on demand
+   - Markup: data-i18n="key" replaces textContent, data-i18n-attr="aria-label:key; alt:key2"
+     replaces attributes; the English markup stays as the no-JS default
+   - t(key, fallback, vars): current language -> English -> fallback -> the key itself
+   - The choice persists in localStorage and drives <html lang> and data-locale
+     (so calendar dates follow it, see locale.js)
+   - Dispatches `localechange` on document ({ lang, previous }) once the page is relabelled
+*/
+
+import en from './locales/en.json';
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English', locale: 'en-US' },
+  { code: 'es', label: 'Español', locale: 'es-ES' },
+  { code: 'uk', label: 'Українська', locale: 'uk-UA' },
+  { code: 'zh', label: '中文', locale: 'zh-CN' },
+  { code: 'ru', label: 'Русский', locale: 'ru-RU' },
+  { code: 'ja', label: '日本語', locale: 'ja-JP' }
+];
+
+const DEFAULT_LANG = 'en';
+const STORAGE_KEY = 'lantrn:lang';
+
+const loaders = import.meta.glob(['./locales/*.json', '!./locales/en.json'], { import: 'default' });
+const dictionaries = { en };
+
+let current = DEFAULT_LANG;
+
+const findLanguage = (code) => LANGUAGES.find((lang) => lang.code === code) || null;
+
+const lookup = (dict, key) => key.split('.').reduce((node, part) => (
+  node && typeof node === 'object' ? node[part] : undefined
+), dict);
+
+const interpolate = (text, vars) => (vars
+  ? text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined ? match : String(vars[name])))
+  : text);
+
+export const getLanguage = () => current;
+
+// Strings, or arrays of strings for multi-line copy (service headlines / paragraphs).
+export const t = (key, fallback, vars) => {
+  let value = lookup(dictionaries[current], key);
+  if (value === undefined || value === null || value === '') value = lookup(en, key);
+  if (value === undefined || value === null || value === '') value = fallback === undefined ? key : fallback;
+  if (Array.isArray(value)) return value.map((line) => interpolate(String(line), vars));
+  return interpolate(String(value), vars);
+};
+
+// Plural forms live under `${key}.one|few|many|other`; {count} (and any vars) are filled in.
+export const plural = (key, count, fallback, vars) => {
+  const lang = findLanguage(current);
+  const category = new Intl.PluralRules(lang ? lang.locale : 'en-US').select(count);
+  const exact = lookup(dictionaries[current], `${key}.${category}`);
+  const values = { ...vars, count };
+  return typeof exact === 'string' && exact ? interpolate(exact, values) : t(`${key}.other`, fallback, values);
+};
+
+export const onLocaleChange = (fn) => {
+  const handler = (e) => fn(e.detail.lang, e.detail.previous);
+  document.addEventListener('localechange', handler);
+  return () => document.removeEventListener('localechange', handler);
+};
+
+const readStored = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+};
+
+const store = (code) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch (e) {
+    // Private mode: the language still applies for this page view.
+  }
+};
+
+// ?lang= link, then the stored choice, then the browser's languages.
+const detectLanguage = () => {
+  const param = new URLSearchParams(window.location.search).get('lang');
+  const browser = (Array.isArray(navigator.languages) ? navigator.languages : [navigator.language])
+    .filter(Boolean)
+    .map((tag) => tag.toLowerCase().split('-')[0]);
+  const candidate = [param, readStored(), ...browser].find((code) => code && findLanguage(code));
+  return candidate || DEFAULT_LANG;
+};
+
+const loadDictionary = async (code) => {
+  if (dictionaries[code]) return dictionaries[code];
+  const loader = loaders[`./locales/${code}.json`];
+  try {
+    dictionaries[code] = loader ? await loader() : {};
+  } catch (e) {
+    // Chunk failed to load (offline, stale deploy): every key falls back to English.
+    return {};
+  }
+  return dictionaries[code];
+};
+
+export const translatePage = (root) => {
+  const scope = root || document;
+  scope.querySelectorAll('[data-i18n]').forEach((el) => {
+    if (!el.dataset.i18nDefault) el.dataset.i18nDefault = el.textContent.trim();
+    el.textContent = t(el.dataset.i18n, el.dataset.i18nDefault);
+  });
+  scope.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+    el.dataset.i18nAttr.split(';').forEach((pair) => {
+      const [attr, key] = pair.split(':').map((part) => part.trim());
+      if (!attr || !key) return;
+      const defaultKey = `i18nDefault${attr.replace(/(^|-)(\w)/g, (m, dash, c) => c.toUpperCase())}`;
+      if (el.dataset[defaultKey] === undefined) el.dataset[defaultKey] = el.getAttribute(attr) || '';
+      el.setAttribute(attr, t(key, el.dataset[defaultKey]));
+    });
+  });
+};
+
+const applyDocumentLanguage = () => {
+  const root = document.documentElement;
+  const lang = findLanguage(current);
+  root.setAttribute('lang', current);
+  // English keeps the visitor's own regional date format.
+  if (current === DEFAULT_LANG) {
+    root.removeAttribute('data-locale');
+  } else {
+    root.setAttribute('data-locale', lang.locale);
+  }
+};
+
+export const setLanguage = async (code, options) => {
+  const next = findLanguage(code) ? code : DEFAULT_LANG;
+  await loadDictionary(next);
+  const previous = current;
+  current = next;
+  if (!options || options.persist !== false) store(next);
+  applyDocumentLanguage();
+  translatePage();
+  document.querySelectorAll('[data-lang-switcher]').forEach((select) => {
+    select.value = next;
+  });
+  if (previous !== next) {
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { lang: next, previous } }));
+  }
+};
+
+const initSwitchers = () => {
+  document.querySelectorAll('[data-lang-switcher]').forEach((select) => {
+    select.replaceChildren(...LANGUAGES.map((lang) => {
+      const option = document.createElement('option');
+      option.value = lang.code;
+      option.lang = lang.code;
+      option.textContent = lang.label;
+      return option;
+    }));
+    select.value = current;
+    select.hidden = false;
+    select.addEventListener('change', () => setLanguage(select.value));
+  });
+};
+
+// Resolves once the detected language is applied (English applies synchronously).
+export function initI18n() {
+  initSwitchers();
+  const detected = detectLanguage();
+  if (detected === DEFAULT_LANG) {
+    applyDocumentLanguage();
+    translatePage();
+    return Promise.resolve();
+  }
+  // Only an explicit pick in the switcher is stored; a detected language is not.
+  return setLanguage(detected, { persist: false });
+}
@@ -0,0 +1,231 @@
+/* Lead forms (Plan a trip + Call me back):
+   - Serializes .modal__form fields into JSON (services[] -> array)
+   - POSTs to a configurable endpoint with in-modal status
+   - Other modules can add computed top-level entries with registerPayloadField
+     (e.g. the Plan a trip estimate)
+   - Queues failed sends in localStorage and retries them later
+*/
+
+import { EVENTS, track } from './analytics.js';
+import { validateForm } from './form-validation.js';
+import { t } from './i18n.js';
+import { postJson } from './post-json.js';
+
+const DEFAULT_ENDPOINT = import.meta.env.VITE_LEAD_ENDPOINT || '/api/leads';
+const QUEUE_KEY = 'lantrn:lead-queue';
+const RETRY_BASE_MS = 15000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const QUEUE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MESSAGES = {
+  sending: 'Sending your request…',
+  success: 'Thank you! We received your request and will be in touch shortly.',
+  queued: 'Connection looks unstable. Your request is saved and will be sent automatically.',
+  error: 'Something went wrong. Please try again or call us at 747-295-9919.'
+};
+
+export const getFormName = (form) => {
+  if (form.dataset.form) return form.dataset.form;
+  const modal = form.closest('.modal');
+  return modal && modal.id ? modal.id.replace(/-modal$/, '') : 'lead';
+};
+
+export const serializeForm = (form) => {
+  const fields = {};
+
+  // Keep list fields present even when nothing is checked.
+  form.querySelectorAll('[name$="[]"]').forEach((el) => {
+    fields[el.name.slice(0, -2)] = [];
+  });
+
+  new FormData(form).forEach((value, key) => {
+    const clean = typeof value === 'string' ? value.trim() : value;
+    if (key.endsWith('[]')) {
+      fields[key.slice(0, -2)].push(clean);
+      return;
+    }
+    fields[key] = clean;
+  });
+
+  return fields;
+};
+
+// form -> { name: read(form) }; a null / undefined result leaves the entry out.
+const payloadExtras = new WeakMap();
+
+export const registerPayloadField = (form, name, read) => {
+  const extras = payloadExtras.get(form) || {};
+  extras[name] = read;
+  payloadExtras.set(form, extras);
+};
+
+const readExtras = (form) => {
+  const extras = payloadExtras.get(form) || {};
+  return Object.keys(extras).reduce((out, name) => {
+    const value = extras[name](form);
+    if (value !== null && value !== undefined) out[name] = value;
+    return out;
+  }, {});
+};
+
+const readQueue = () => {
+  try {
+    const raw = window.localStorage.getItem(QUEUE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const writeQueue = (list) => {
+  try {
+    if (list.length) {
+      window.localStorage.setItem(QUEUE_KEY, JSON.stringify(list));
+    } else {
+      window.localStorage.removeItem(QUEUE_KEY);
+    }
+  } catch (e) {
+    // storage unavailable (private mode / quota) — nothing else we can do
+  }
+};
+
+const createId = () => {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+export const buildPayload = (form) => ({
+  id: createId(),
+  form: getFormName(form),
+  fields: serializeForm(form),
+  ...readExtras(form),
+  page: window.location.pathname,
+  submittedAt: new Date().toISOString()
+});
+
+export function initLeadForms() {
+  const forms = Array.from(document.querySelectorAll('.modal .modal__form'));
+
+  let retryTimer = null;
+  let retryDelay = RETRY_BASE_MS;
+  let isFlushing = false;
+
+  const scheduleRetry = () => {
+    if (retryTimer || !readQueue().length) return;
+    retryTimer = window.setTimeout(() => {
+      retryTimer = null;
+      flushQueue();
+    }, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+  };
+
+  const enqueue = (endpoint, payload) => {
+    const list = readQueue().filter((item) => item.payload && item.payload.id !== payload.id);
+    list.push({ endpoint, payload, attempts: 1, queuedAt: Date.now() });
+    writeQueue(list);
+    scheduleRetry();
+  };
+
+  const flushQueue = async () => {
+    if (isFlushing) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+    isFlushing = true;
+    const isFresh = (item) => item && item.payload && Date.now() - item.queuedAt < QUEUE_MAX_AGE_MS;
+    const pending = readQueue().filter(isFresh);
+    // id -> null once sent (or rejected for good), or the item to keep retrying
+    const outcome = new Map();
+
+    for (const item of pending) {
+      try {
+        await postJson(item.endpoint || DEFAULT_ENDPOINT, item.payload);
+        outcome.set(item.payload.id, null);
+      } catch (e) {
+        outcome.set(item.payload.id, e.retryable ? { ...item, attempts: (item.attempts || 0) + 1 } : null);
+      }
+    }
+
+    // Re-read: a lead may have been queued while we were awaiting the sends above.
+    const remaining = readQueue()
+      .filter(isFresh)
+      .map((item) => (outcome.has(item.payload.id) ? outcome.get(item.payload.id) : item))
+      .filter(Boolean);
+    writeQueue(remaining);
+    isFlushing = false;
+    if (remaining.length) {
+      scheduleRetry();
+    } else {
+      retryDelay = RETRY_BASE_MS;
+    }
+  };
+
+  const setState = (form, state) => {
+    const status = form.querySelector('.modal__status');
+    const submit = form.querySelector('.modal__submit');
+    if (state) {
+      form.dataset.state = state;
+    } else {
+      delete form.dataset.state;
+    }
+    form.setAttribute('aria-busy', state === 'sending' ? 'true' : 'false');
+    if (submit) submit.disabled = state === 'sending';
+    if (status) {
+      status.textContent = state ? t(`lead.${state}`, MESSAGES[state]) : '';
+      status.hidden = !state;
+    }
+  };
+
+  forms.forEach((form) => {
+    const endpoint = form.dataset.endpoint || DEFAULT_ENDPOINT;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (form.dataset.state === 'sending') return;
+      const name = getFormName(form);
+      if (!validateForm(form)) {
+        track(EVENTS.FORM_FAILED, { form: name, reason: 'invalid' });
+        return;
+      }
+
+      setState(form, 'sending');
+
+      let payload = null;
+      try {
+        // Inside the try: a registered extra (estimate, wizard) that throws ends in the error state.
+        payload = buildPayload(form);
+        await postJson(endpoint, payload);
+        form.reset();
+        setState(form, 'success');
+        track(EVENTS.FORM_SUBMITTED, { form: name, result: 'success' });
+      } catch (err) {
+        if (err.retryable) {
+          enqueue(endpoint, payload);
+          form.reset();
+          setState(form, 'queued');
+          track(EVENTS.FORM_SUBMITTED, { form: name, result: 'queued' });
+        } else {
+          setState(form, 'error');
+          track(EVENTS.FORM_FAILED, { form: name, reason: 'error', status: err.status || 0 });
+        }
+      }
+    });
+
+    // Clear a finished status as soon as the guest starts on a new request.
+    form.addEventListener('input', () => {
+      if (form.dataset.state && form.dataset.state !== 'sending') setState(form, null);
+    });
+  });
+
+  window.addEventListener('online', () => {
+    if (retryTimer) {
+      window.clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    retryDelay = RETRY_BASE_MS;
+    flushQueue();
+  });
+
+  flushQueue();
+}
@@ -0,0 +1,85 @@
+/* Locale helpers (Intl-based):
+   - Site-level override via <html data-locale="de-DE">, otherwise the browser locale
+   - Month / weekday names, first day of week and display dates for the calendar
+   - Canonical values stay ISO (YYYY-MM-DD); only what the guest sees is localized
+*/
+
+const FALLBACK_LOCALE = 'en-US';
+
+// CLDR first-day-of-week for regions that do not start on Monday (0 = Sunday, 6 = Saturday).
+const SUNDAY_REGIONS = new Set([
+  'AG', 'AS', 'BD', 'BR', 'BS', 'BT', 'BW', 'BZ', 'CA', 'CO', 'DM', 'DO', 'ET', 'GT', 'GU', 'HK', 'HN',
+  'ID', 'IL', 'IN', 'JM', 'JP', 'KE', 'KH', 'KR', 'LA', 'MH', 'MM', 'MO', 'MT', 'MX', 'MZ', 'NI', 'NP',
+  'PA', 'PE', 'PH', 'PK', 'PR', 'PT', 'PY', 'SA', 'SG', 'SV', 'TH', 'TT', 'TW', 'UM', 'US', 'VE', 'VI',
+  'WS', 'YE', 'ZA', 'ZW'
+]);
+const SATURDAY_REGIONS = new Set([
+  'AE', 'AF', 'BH', 'DJ', 'DZ', 'EG', 'IQ', 'IR', 'JO', 'KW', 'LY', 'OM', 'QA', 'SD', 'SY'
+]);
+
+const formatters = new Map();
+
+const isSupported = (locale) => {
+  try {
+    return !!locale && Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+export const getLocale = () => {
+  const root = document.documentElement;
+  const candidates = [
+    root && root.dataset.locale,
+    ...(Array.isArray(navigator.languages) ? navigator.languages : []),
+    navigator.language
+  ];
+  return candidates.find(isSupported) || FALLBACK_LOCALE;
+};
+
+const getFormatter = (locale, options) => {
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Intl.DateTimeFormat(locale, options));
+  return formatters.get(key);
+};
+
+export const formatDate = (date, options, locale) => getFormatter(locale || getLocale(), options).format(date);
+
+// Weekday index (0 = Sunday) the calendar week starts on for a locale.
+export const getFirstDayOfWeek = (locale) => {
+  try {
+    const intlLocale = new Intl.Locale(locale);
+    const info = typeof intlLocale.getWeekInfo === 'function' ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+    if (info && info.firstDay) return info.firstDay % 7;
+    const region = intlLocale.region || intlLocale.maximize().region;
+    if (SUNDAY_REGIONS.has(region)) return 0;
+    if (SATURDAY_REGIONS.has(region)) return 6;
+    return 1;
+  } catch (e) {
+    return 0;
+  }
+};
+
+export const getMonthLabel = (date, locale) => formatDate(date, { month: 'long', year: 'numeric' }, locale);
+
+// Weekday names in display order, starting from the locale's first day of week.
+export const getWeekDays = (locale) => {
+  const firstDay = getFirstDayOfWeek(locale);
+  // 2023-01-01 was a Sunday.
+  return Array.from({ length: 7 }, (_, i) => {
+    const date = new Date(2023, 0, 1 + ((firstDay + i) % 7));
+    return {
+      index: date.getDay(),
+      short: formatDate(date, { weekday: 'short' }, locale),
+      long: formatDate(date, { weekday: 'long' }, locale)
+    };
+  });
+};
+
+export const formatDisplayDate = (date, locale) => formatDate(date, { dateStyle: 'medium' }, locale);
+
+export const formatDisplayRange = (start, end, locale) => {
+  const formatter = getFormatter(locale || getLocale(), { dateStyle: 'medium' });
+  if (typeof formatter.formatRange === 'function') return formatter.formatRange(start, end);
+  return `${formatter.format(start)} – ${formatter.format(end)}`;
+};
@@ -0,0 +1,214 @@
+/* Dialog manager for .modal elements:
+   - Stack: a modal can open another; Escape / backdrop close only the top one
+   - Focus trap inside the top modal, focus restored to the opener on close
+   - Page behind is made inert and scroll-locked while any modal is open
+   - Deep links: #plan-trip opens #plan-trip-modal
+   - Dispatches bubbling `modalopen` / `modalclose` CustomEvents on the modal
+*/
+
+const FOCUSABLE = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[tabindex]:not([tabindex="-1"])',
+  '[contenteditable="true"]'
+].join(',');
+
+const BASE_Z_INDEX = 999;
+
+const stack = [];
+const inertedByUs = new Set();
+
+const isVisible = (el) => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+
+const getFocusable = (modal) => Array.from(modal.querySelectorAll(FOCUSABLE))
+  .filter((el) => el.getAttribute('tabindex') !== '-1' || el === document.activeElement)
+  .filter((el) => !el.closest('[inert]') && !el.closest('[aria-hidden="true"]:not(.modal)') && isVisible(el));
+
+export const getModal = (ref) => {
+  if (!ref) return null;
+  if (ref instanceof HTMLElement) return ref.closest('.modal');
+  return document.getElementById(`${String(ref).replace(/^#/, '').replace(/-modal$/, '')}-modal`);
+};
+
+export const getOpenModals = () => stack.map((entry) => entry.modal);
+
+export const getTopModal = () => (stack.length ? stack[stack.length - 1].modal : null);
+
+export const isModalOpen = () => stack.length > 0;
+
+const setPageInert = (on) => {
+  if (on) {
+    Array.from(document.body.children).forEach((el) => {
+      if (el.classList.contains('modal') || el.tagName === 'SCRIPT' || el.hasAttribute('inert')) return;
+      el.setAttribute('inert', '');
+      inertedByUs.add(el);
+    });
+    return;
+  }
+  inertedByUs.forEach((el) => el.removeAttribute('inert'));
+  inertedByUs.clear();
+};
+
+const syncStack = () => {
+  stack.forEach((entry, i) => {
+    const isTop = i === stack.length - 1;
+    entry.modal.style.zIndex = String(BASE_Z_INDEX + i);
+    if (isTop) {
+      entry.modal.removeAttribute('inert');
+    } else {
+      entry.modal.setAttribute('inert', '');
+    }
+  });
+  const anyOpen = stack.length > 0;
+  document.documentElement.classList.toggle('modal-open', anyOpen);
+  document.body.classList.toggle('modal-open', anyOpen);
+  setPageInert(anyOpen);
+};
+
+const focusInitial = (modal) => {
+  const preferred = modal.querySelector('[autofocus]') ||
+    modal.querySelector('.modal__form input:not([type="hidden"]), .modal__form textarea, .modal__form select');
+  const target = preferred && isVisible(preferred) ? preferred : getFocusable(modal)[0];
+  if (target) {
+    target.focus();
+    return;
+  }
+  const panel = modal.querySelector('.modal__panel') || modal;
+  if (!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '-1');
+  panel.focus();
+};
+
+const emit = (modal, type, detail) => {
+  modal.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+};
+
+export const openModal = (ref, options) => {
+  const modal = getModal(ref);
+  if (!modal) return null;
+  const opts = options || {};
+  if (stack.some((entry) => entry.modal === modal)) {
+    if (getTopModal() !== modal) return modal;
+    focusInitial(modal);
+    return modal;
+  }
+
+  const active = document.activeElement;
+  const trigger = opts.trigger || (active instanceof HTMLElement && active !== document.body ? active : null);
+  stack.push({ modal, trigger, source: opts.source || 'trigger' });
+
+  modal.classList.add('is-open');
+  modal.setAttribute('aria-hidden', 'false');
+  syncStack();
+  focusInitial(modal);
+  emit(modal, 'modalopen', { trigger, source: opts.source || 'trigger', depth: stack.length });
+  return modal;
+};
+
+export const closeModal = (ref, options) => {
+  const modal = getModal(ref);
+  if (!modal) return;
+  const idx = stack.findIndex((entry) => entry.modal === modal);
+  if (idx === -1) return;
+  const opts = options || {};
+
+  // Closing a modal also closes anything stacked above it.
+  while (stack.length > idx + 1) closeModal(getTopModal(), { reason: 'parent-closed' });
+
+  const [entry] = stack.splice(idx, 1);
+  modal.classList.remove('is-open');
+  modal.setAttribute('aria-hidden', 'true');
+  modal.style.zIndex = '';
+  syncStack();
+
+  if (entry.source === 'hash' && window.location.hash === `#${modal.id.replace(/-modal$/, '')}`) {
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+  }
+
+  const restoreTo = entry.trigger && document.contains(entry.trigger) ? entry.trigger : null;
+  if (restoreTo && typeof restoreTo.focus === 'function') {
+    restoreTo.focus();
+  } else if (stack.length) {
+    focusInitial(getTopModal());
+  }
+
+  emit(modal, 'modalclose', { reason: opts.reason || 'close', depth: stack.length });
+};
+
+export const closeTopModal = (options) => {
+  const top = getTopModal();
+  if (top) closeModal(top, options);
+};
+
+export function initModals() {
+  const modals = Array.from(document.querySelectorAll('.modal'));
+  if (!modals.length) return;
+
+  document.addEventListener('click', (e) => {
+    const target = e.target;
+    if (!(target instanceof HTMLElement)) return;
+
+    const opener = target.closest('[data-modal-open]');
+    if (opener) {
+      const modal = getModal(opener.getAttribute('data-modal-open'));
+      if (!modal) return;
+      e.preventDefault();
+      openModal(modal, { trigger: opener });
+      return;
+    }
+
+    if (target.matches('[data-modal-close]')) {
+      closeModal(target.closest('.modal'), { reason: target.classList.contains('modal__backdrop') ? 'backdrop' : 'dismiss' });
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    const top = getTopModal();
+    if (!top) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeModal(top, { reason: 'escape' });
+      return;
+    }
+
+    // Widgets with their own Tab handling (e.g. the calendar) call preventDefault.
+    if (e.key !== 'Tab' || e.defaultPrevented) return;
+    const focusable = getFocusable(top);
+    if (!focusable.length) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || !top.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !top.contains(document.activeElement))) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+
+  // Safety net for focus moved programmatically (or by the browser) out of the top modal.
+  document.addEventListener('focusin', (e) => {
+    const top = getTopModal();
+    if (!top || !(e.target instanceof Node) || top.contains(e.target)) return;
+    focusInitial(top);
+  });
+
+  const openFromHash = () => {
+    const id = window.location.hash.replace(/^#/, '');
+    if (!id) return;
+    const modal = document.getElementById(`${id}-modal`);
+    if (!modal || !modal.classList.contains('modal')) return;
+    openModal(modal, { source: 'hash' });
+  };
+
+  window.addEventListener('hashchange', openFromHash);
+  openFromHash();
+}
@@ -0,0 +1,135 @@
+/* Motion audit (?motion-debug in the dev server only, loaded on demand):
+   - Reports data-anim declarations that animate nothing (unknown preset or exit,
+     stagger container without children, outside any [data-screen])
+   - After a screen's entry settles, reports elements still hidden by autoAlpha: 0
+   - Overlay: profile, current slide index and the timelines that are running; redrawn on
+     slidechange / motionprofilechange and every frame only while a timeline plays
+*/
+
+import { getAnimPreset, getExitPreset, getScreenTimelines } from './anim-presets.js';
+import { getMotionProfile, onMotionProfileChange } from './motion-profile.js';
+
+const PREFIX = '[motion-debug]';
+const SETTLE_MS = 300;
+
+const describe = (el) => {
+  const id = el.id ? `#${el.id}` : '';
+  const cls = typeof el.className === 'string' && el.className.trim()
+    ? `.${el.className.trim().split(/\s+/).join('.')}`
+    : '';
+  return `${el.tagName.toLowerCase()}${id}${cls}`;
+};
+
+// Declarations that end up animating zero elements.
+export const auditDeclarations = (root) => {
+  const issues = [];
+  const scope = root || document;
+  scope.querySelectorAll('[data-anim]').forEach((el) => {
+    const where = describe(el);
+    if (!getAnimPreset(el.dataset.anim)) issues.push(`${where}: unknown preset "${el.dataset.anim}"`);
+    if (el.dataset.animExit && !getExitPreset(el.dataset.animExit)) {
+      issues.push(`${where}: unknown exit preset "${el.dataset.animExit}"`);
+    }
+    if (el.dataset.animStagger !== undefined && !el.children.length) {
+      issues.push(`${where}: data-anim-stagger but no children to animate`);
+    }
+    if (!el.closest('[data-screen]')) issues.push(`${where}: outside any [data-screen], never played`);
+  });
+  return issues;
+};
+
+// Elements GSAP left at visibility: hidden inside a screen that has finished entering.
+export const auditHidden = (screen) => Array.from(screen.querySelectorAll('*'))
+  .filter((el) => el.style.visibility === 'hidden')
+  .map(describe);
+
+const createOverlay = () => {
+  const panel = document.createElement('pre');
+  panel.className = 'motion-debug';
+  panel.setAttribute('aria-hidden', 'true');
+  panel.style.cssText = [
+    'position:fixed', 'top:12px', 'right:12px', 'z-index:2147483647', 'margin:0', 'padding:10px 12px',
+    'max-width:360px', 'max-height:60vh', 'overflow:auto', 'border-radius:10px',
+    'background:rgba(8,12,16,0.88)', 'color:#9fe0b0', 'font:11px/1.5 ui-monospace,monospace',
+    'white-space:pre-wrap', 'pointer-events:none'
+  ].join(';');
+  document.body.appendChild(panel);
+  return panel;
+};
+
+// options.controller: the page's slide controller, for the current index.
+// Returns a teardown that removes the overlay and its listeners.
+export function initMotionAudit(options) {
+  const controller = (options && options.controller) || null;
+  const screens = Array.from(document.querySelectorAll('[data-screen]'));
+  const declarationIssues = auditDeclarations();
+  const hiddenByScreen = new Map();
+  let lastCause = 'init';
+  let settleTimer = 0;
+  let frame = 0;
+
+  declarationIssues.forEach((issue) => console.warn(PREFIX, issue));
+
+  const panel = createOverlay();
+  const render = () => {
+    frame = 0;
+    const screen = controller ? controller.getScreen() : null;
+    const lines = [
+      `profile  ${getMotionProfile()}`,
+      screen
+        ? `slide    ${controller.getIndex() + 1}/${screens.length} #${screen.id} (${lastCause})`
+        : `slide    -/${screens.length}`
+    ];
+    const running = [];
+    getScreenTimelines().forEach((entry, owner) => {
+      if (entry.tl.isActive()) running.push(`  ${owner.id} ${Math.round(entry.tl.progress() * 100)}%`);
+    });
+    lines.push(`timelines ${getScreenTimelines().size} built, ${running.length} running`, ...running);
+    if (declarationIssues.length) {
+      lines.push(`declarations (${declarationIssues.length})`, ...declarationIssues.map((issue) => `  ${issue}`));
+    }
+    hiddenByScreen.forEach((hidden, owner) => {
+      if (hidden.length) lines.push(`hidden in ${owner.id} (${hidden.length})`, ...hidden.map((el) => `  ${el}`));
+    });
+    panel.textContent = lines.join('\n');
+    // Follow progress while something plays; otherwise wait for the next event.
+    if (running.length) frame = window.requestAnimationFrame(render);
+  };
+
+  const refresh = () => {
+    if (frame) window.cancelAnimationFrame(frame);
+    render();
+  };
+
+  const checkHidden = (screen) => {
+    const hidden = auditHidden(screen);
+    hiddenByScreen.set(screen, hidden);
+    if (hidden.length) console.warn(PREFIX, `${screen.id}: left hidden after entry`, hidden);
+    refresh();
+  };
+
+  // Wait for the entry timeline (if any) to finish before looking for stragglers.
+  const onSlideChange = (e) => {
+    lastCause = e.detail.cause;
+    const screen = e.target;
+    const entry = getScreenTimelines().get(screen);
+    const wait = entry ? entry.tl.duration() * 1000 : 0;
+    window.clearTimeout(settleTimer);
+    settleTimer = window.setTimeout(() => checkHidden(screen), wait + SETTLE_MS);
+    // Next frame: the entry timeline starts from another slidechange listener.
+    if (frame) window.cancelAnimationFrame(frame);
+    frame = window.requestAnimationFrame(render);
+  };
+
+  document.addEventListener('slidechange', onSlideChange);
+  const offProfile = onMotionProfileChange(refresh);
+  refresh();
+
+  return () => {
+    document.removeEventListener('slidechange', onSlideChange);
+    offProfile();
+    window.clearTimeout(settleTimer);
+    if (frame) window.cancelAnimationFrame(frame);
+    panel.remove();
+  };
+}
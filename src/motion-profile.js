@@ -0,0 +1,151 @@
+/* Motion profile (re-evaluated at runtime, not read once at load):
+   - 'reduced': prefers-reduced-motion, or the on-page toggle, wins over everything
+   - 'mobile':  narrow viewport or touch-only device; CSS scroll-snap + light reveals
+   - 'full':    GSAP timelines + JS slide scrolling
+   - Mirrored on <html data-motion-profile> (plus the older data-motion-engine /
+     data-mobile-layout / data-prefers-reduced-motion flags)
+   - Dispatches `motionprofilechange` on document when it changes
+     (rotation, window resize, OS setting or page toggle flipped)
+   - [data-motion-toggle] buttons store the visitor's choice in localStorage
+*/
+
+import { onLocaleChange, t } from './i18n.js';
+
+const queries = {
+  reduced: window.matchMedia('(prefers-reduced-motion: reduce)'),
+  narrow: window.matchMedia('(max-width: 768px)'),
+  coarse: window.matchMedia('(hover: none) and (pointer: coarse)')
+};
+
+const RESIZE_DEBOUNCE_MS = 150;
+const STORAGE_KEY = 'lantrn:reduce-motion';
+
+const readPreference = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) === 'true';
+  } catch (e) {
+    return false;
+  }
+};
+
+let profile = null;
+let isWatching = false;
+let userReduced = readPreference();
+
+export const isMobileLayout = () => queries.narrow.matches || queries.coarse.matches;
+
+const compute = () => {
+  if (queries.reduced.matches || userReduced) return 'reduced';
+  if (isMobileLayout()) return 'mobile';
+  return 'full';
+};
+
+const applyAttributes = () => {
+  const root = document.documentElement;
+  root.setAttribute('data-motion-profile', profile);
+  root.setAttribute('data-prefers-reduced-motion', queries.reduced.matches ? 'true' : 'false');
+  if (isMobileLayout()) {
+    root.setAttribute('data-mobile-layout', 'true');
+  } else {
+    root.removeAttribute('data-mobile-layout');
+  }
+  if (profile === 'full') {
+    root.setAttribute('data-motion-engine', 'gsap');
+  } else {
+    root.removeAttribute('data-motion-engine');
+  }
+};
+
+export const getMotionProfile = () => {
+  if (!profile) profile = compute();
+  return profile;
+};
+
+export const prefersReducedMotion = () => getMotionProfile() === 'reduced';
+
+const update = () => {
+  const next = compute();
+  const previous = profile;
+  profile = next;
+  applyAttributes();
+  if (previous && previous !== next) {
+    document.dispatchEvent(new CustomEvent('motionprofilechange', { detail: { profile: next, previous } }));
+  }
+};
+
+export const onMotionProfileChange = (fn) => {
+  const handler = (e) => fn(e.detail.profile, e.detail.previous);
+  document.addEventListener('motionprofilechange', handler);
+  return () => document.removeEventListener('motionprofilechange', handler);
+};
+
+export const getReducedMotionPreference = () => userReduced;
+
+// The page-level choice; the OS setting still forces 'reduced' when it is on.
+export const setReducedMotionPreference = (on) => {
+  userReduced = !!on;
+  try {
+    if (userReduced) {
+      window.localStorage.setItem(STORAGE_KEY, 'true');
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (e) {
+    // Private mode: the choice still applies for this page view.
+  }
+  update();
+};
+
+export function watchMotionProfile() {
+  if (isWatching) return;
+  isWatching = true;
+  update();
+
+  Object.values(queries).forEach((mql) => {
+    if (typeof mql.addEventListener === 'function') {
+      mql.addEventListener('change', update);
+    } else if (typeof mql.addListener === 'function') {
+      mql.addListener(update);
+    }
+  });
+
+  // Some browsers only settle the new viewport size after the rotation event.
+  let resizeTimer = 0;
+  const onViewportChange = () => {
+    window.clearTimeout(resizeTimer);
+    resizeTimer = window.setTimeout(update, RESIZE_DEBOUNCE_MS);
+  };
+  window.addEventListener('resize', onViewportChange);
+  window.addEventListener('orientationchange', onViewportChange);
+}
+
+export function initMotionToggle() {
+  const toggles = Array.from(document.querySelectorAll('[data-motion-toggle]'));
+  if (!toggles.length) return;
+
+  const render = () => {
+    const forced = queries.reduced.matches;
+    toggles.forEach((toggle) => {
+      toggle.setAttribute('aria-pressed', forced || userReduced ? 'true' : 'false');
+      toggle.disabled = forced;
+      if (forced) {
+        toggle.title = t('footer.reduceMotionForced', 'Motion is reduced by your system settings');
+      } else {
+        toggle.removeAttribute('title');
+      }
+    });
+  };
+
+  toggles.forEach((toggle) => {
+    toggle.addEventListener('click', () => setReducedMotionPreference(!userReduced));
+  });
+  // The OS setting can flip while the profile stays 'reduced' (toggle already on), so listen to both.
+  onMotionProfileChange(render);
+  onLocaleChange(render);
+  if (typeof queries.reduced.addEventListener === 'function') {
+    queries.reduced.addEventListener('change', render);
+  } else if (typeof queries.reduced.addListener === 'function') {
+    queries.reduced.addListener(render);
+  }
+  render();
+}
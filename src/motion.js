@@ -1,32 +1,51 @@
 import { gsap } from 'gsap';
+import { EVENTS, initAnalytics, track as trackEvent } from './analytics.js';
+import { createScreenTimeline } from './anim-presets.js';
+import { isRangeOpen, loadAvailability } from './availability.js';
+import { initConsent } from './consent.js';
+import { initFormDrafts } from './form-drafts.js';
+import { getDateWindow, initFormValidation, parseIsoDate } from './form-validation.js';
+import { initI18n, onLocaleChange, plural, t } from './i18n.js';
+import {
+  formatDate as formatLocalDate,
+  formatDisplayDate,
+  formatDisplayRange,
+  getLocale,
+  getMonthLabel,
+  getWeekDays
+} from './locale.js';
+import { initLeadForms } from './lead-form.js';
+import { initModals, isModalOpen } from './modals.js';
+import { initNewsletter } from './newsletter.js';
+import {
+  getMotionProfile,
+  initMotionToggle,
+  onMotionProfileChange,
+  prefersReducedMotion,
+  watchMotionProfile
+} from './motion-profile.js';
+import { describeConversion, initCurrencySwitchers, onCurrencyChange } from './pricing.js';
+import { getService, renderServiceCatalog } from './services-catalog.js';
+import { createSlideController } from './slide-controller.js';
+import { initTripEstimate } from './trip-estimate.js';
+import { initTripPrefill } from './trip-prefill.js';
+import { initTripWizard } from './trip-wizard.js';
 
 /* Motion controller:
    - JS-controlled slide scrolling (one screen per gesture)
    - Per-screen GSAP timelines on entry
-   - Respects prefers-reduced-motion
+   - Respects prefers-reduced-motion (and the footer toggle) live; lighter profile on phones
+     (see motion-profile.js)
 */
 
-const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-const isMobileLayout = window.matchMedia('(max-width: 768px)').matches ||
-  window.matchMedia('(hover: none) and (pointer: coarse)').matches;
-const enableGsapAnimations = !reduceMotion && !isMobileLayout;
-// DEBUG: expose to console and document for quick diagnosis
-try {
-  console.log('[motion] prefers-reduced-motion =', reduceMotion);
-  if (typeof document !== 'undefined' && document.documentElement) {
-    document.documentElement.setAttribute('data-prefers-reduced-motion', reduceMotion ? 'true' : 'false');
-    if (enableGsapAnimations) {
-      document.documentElement.setAttribute('data-motion-engine', 'gsap');
-    }
-    if (isMobileLayout) {
-      document.documentElement.setAttribute('data-mobile-layout', 'true');
-    }
-  }
-} catch (e) {
-  // ignore
-}
+// Language first: the English markup is relabelled before anything reads it, and
+// `localechange` refreshes the dynamic copy below once another dictionary loads.
+initI18n();
 
-if (enableGsapAnimations) {
+watchMotionProfile();
+initMotionToggle();
+
+if (getMotionProfile() === 'full') {
   gsap.set('.hero-top', { autoAlpha: 1 });
   gsap.from('.hero-top-inner > *', {
     y: -8,
@@ -34,172 +53,40 @@ if (enableGsapAnimations) {
     duration: 0.4,
     ease: 'power2.out',
     stagger: 0.05,
-    delay: 0.1
+    delay: 0.1,
+    clearProps: 'opacity,visibility,transform'
+  });
+  onMotionProfileChange(() => {
+    gsap.killTweensOf('.hero-top-inner > *');
+    gsap.set('.hero-top-inner > *', { clearProps: 'opacity,visibility,transform' });
   });
 }
 
-// 0) JS-controlled slide scrolling (one screen per gesture)
-(function initSlideScroll() {
-  const screens = Array.from(document.querySelectorAll('[data-screen]'));
-  if (!screens.length) return;
-  if (reduceMotion) return;
-  if (isMobileLayout) return;
-
-  let currentIndex = 0;
-  let isAnimating = false;
-  let gestureLock = false;
-  const lockMs = 850;
-  const wheelMinDelta = 14;
-  const wheelCooldownMs = 420;
-  let lastWheelAt = 0;
-
-  const clampIndex = (idx) => Math.max(0, Math.min(screens.length - 1, idx));
-
-  const syncIndexToScroll = () => {
-    const scrollY = window.scrollY;
-    let nearest = 0;
-    let minDist = Infinity;
-    screens.forEach((screen, i) => {
-      const dist = Math.abs(scrollY - screen.offsetTop);
-      if (dist < minDist) {
-        minDist = dist;
-        nearest = i;
-      }
-    });
-    currentIndex = nearest;
-  };
-
-  const goTo = (idx, behavior) => {
-    if (isAnimating) return;
-    const nextIndex = clampIndex(idx);
-    currentIndex = nextIndex;
-    isAnimating = true;
-    screens[currentIndex].scrollIntoView({
-      behavior: behavior || 'auto',
-      block: 'start'
-    });
-    window.setTimeout(() => {
-      isAnimating = false;
-    }, lockMs);
-  };
-
-  const getActiveIndex = () => {
-    const scrollY = window.scrollY;
-    let nearest = 0;
-    let minDist = Infinity;
-    screens.forEach((screen, i) => {
-      const dist = Math.abs(scrollY - screen.offsetTop);
-      if (dist < minDist) {
-        minDist = dist;
-        nearest = i;
-      }
-    });
-    return nearest;
-  };
-
-  const shouldIgnore = (target) => {
-    if (!target || typeof target.closest !== 'function') return false;
-    return !!target.closest('input, textarea, select, [contenteditable="true"]');
-  };
-
-  const onWheel = (e) => {
-    if (shouldIgnore(e.target)) return;
-    e.preventDefault();
-    if (gestureLock || isAnimating) return;
-    const delta = e.deltaY || 0;
-    if (Math.abs(delta) < wheelMinDelta) return;
-    const now = Date.now();
-    if (now - lastWheelAt < wheelCooldownMs) return;
-    lastWheelAt = now;
-    const dir = delta > 0 ? 1 : -1;
-    currentIndex = getActiveIndex();
-    gestureLock = true;
-    goTo(currentIndex + dir);
-    window.setTimeout(() => {
-      gestureLock = false;
-    }, lockMs);
-  };
-
-  window.addEventListener('wheel', onWheel, { passive: false });
-
-  let touchStartY = 0;
-  let touchStartX = 0;
+// Services (carousel cards, tabs, Plan a trip checkboxes) come from src/data/services.json
+// and must exist before anything below queries them.
+renderServiceCatalog();
+// Display currency for the prices (approximate conversion, see pricing.js).
+initCurrencySwitchers();
 
-  const onTouchStart = (e) => {
-    const touch = e.touches[0];
-    touchStartY = touch.clientY;
-    touchStartX = touch.clientX;
-  };
-
-  const onTouchMove = (e) => {
-    if (Math.abs(e.touches[0].clientY - touchStartY) > 6) {
-      e.preventDefault();
-    }
-  };
+// Cookie consent (gates Clarity and other tags), then the analytics bus that waits on it.
+initConsent();
+initAnalytics();
 
-  const onTouchEnd = (e) => {
-    const touch = e.changedTouches[0];
-    const deltaY = touchStartY - touch.clientY;
-    const deltaX = touchStartX - touch.clientX;
-    if (Math.abs(deltaY) < 50 || Math.abs(deltaY) < Math.abs(deltaX)) return;
-    const dir = deltaY > 0 ? 1 : -1;
-    currentIndex = getActiveIndex();
-    goTo(currentIndex + dir);
-  };
-
-  document.addEventListener('touchstart', onTouchStart, { passive: true });
-  document.addEventListener('touchmove', onTouchMove, { passive: false });
-  document.addEventListener('touchend', onTouchEnd, { passive: true });
-
-  const onKeyDown = (e) => {
-    if (shouldIgnore(e.target)) return;
-    const code = e.code || e.key;
-    if (code === 'ArrowDown' || code === 'PageDown' || code === 'Space') {
-      e.preventDefault();
-      currentIndex = getActiveIndex();
-      goTo(currentIndex + 1);
-      return;
-    }
-    if (code === 'ArrowUp' || code === 'PageUp') {
-      e.preventDefault();
-      currentIndex = getActiveIndex();
-      goTo(currentIndex - 1);
-      return;
-    }
-    if (code === 'Home') {
-      e.preventDefault();
-      goTo(0);
-      return;
-    }
-    if (code === 'End') {
-      e.preventDefault();
-      goTo(screens.length - 1);
-    }
-  };
-
-  window.addEventListener('keydown', onKeyDown);
-
-  const onHashChange = () => {
-    const target = document.querySelector(window.location.hash);
-    if (!target || !target.matches('[data-screen]')) return;
-    const idx = screens.indexOf(target);
-    if (idx === -1) return;
-    goTo(idx);
-  };
-
-  window.addEventListener('hashchange', onHashChange);
-
-  window.addEventListener('resize', () => {
-    goTo(currentIndex, 'auto');
-  });
-
-  syncIndexToScroll();
-  if (window.location.hash) {
-    onHashChange();
-  } else {
-    goTo(currentIndex, 'auto');
-  }
-})();
+// 0) JS-controlled slide scrolling (one screen per gesture)
+// Reduced motion / mobile keep native scrolling (CSS scroll-snap on mobile); only URL + nav sync run there.
+const slideController = createSlideController({ snap: getMotionProfile() === 'full' });
+onMotionProfileChange((profile) => slideController.setSnap(profile === 'full'));
+
+// Wheel / keys / swipes belong to the dialog while one is open.
+document.addEventListener('modalopen', () => slideController.pause('modal'));
+document.addEventListener('modalclose', () => {
+  if (!isModalOpen()) slideController.resume('modal');
+});
+
+// ?motion-debug: animation audit overlay, dev server only (production builds drop the chunk).
+if (import.meta.env.DEV && new URLSearchParams(window.location.search).has('motion-debug')) {
+  import('./motion-audit.js').then(({ initMotionAudit }) => initMotionAudit({ controller: slideController }));
+}
 
 // 1) Slide activation
 (function initSlideReveal() {
@@ -208,154 +95,65 @@ if (enableGsapAnimations) {
 
   const setActive = (el, isActive) => {
     el.classList.toggle('is-active', isActive);
+    // Mobile reveals play once; scrolling back up does not hide content again.
+    if (isActive) el.classList.add('is-revealed');
   };
 
-  if (reduceMotion || isMobileLayout) {
-    slides.forEach((el) => setActive(el, true));
-    return;
-  }
-
+  // Entry / exit animations are declared in markup (data-anim, see anim-presets.js).
   const buildScreenTimelines = (screenList) => {
-    if (!enableGsapAnimations) return new Map();
     const map = new Map();
-
-    screenList.forEach((screen) => {
-      const tl = gsap.timeline({ paused: true, defaults: { ease: 'power3.out' } });
-      const resetters = [];
-      const q = (sel) => screen.querySelectorAll(sel);
-
-      const add = (targets, fromVars, toVars, position) => {
-        const items = gsap.utils.toArray(targets).filter(Boolean);
-        if (!items.length) return;
-        const from = { autoAlpha: 0, y: 24, ...fromVars };
-        const to = { autoAlpha: 1, y: 0, duration: 0.6, ...toVars };
-        gsap.set(items, from);
-        resetters.push(() => gsap.set(items, from));
-        tl.to(items, to, position);
-      };
-
-      const addText = (targets, fromVars, toVars, position) => {
-        add(targets, { y: 14, ...fromVars }, { duration: 0.38, ...toVars }, position);
-      };
-
-      const addTextInstant = (targets, fromVars, toVars, position) => {
-        add(targets, { y: 10, autoAlpha: 1, ...fromVars }, { duration: 0.2, autoAlpha: 1, ...toVars }, position);
-      };
-
-      const addObject = (targets, fromVars, toVars, position) => {
-        add(
-          targets,
-          { y: 28, z: -60, rotationX: 6, transformPerspective: 900, filter: 'blur(10px)', ...fromVars },
-          { duration: 0.7, filter: 'blur(0px)', ...toVars },
-          position
-        );
-      };
-
-      switch (screen.id) {
-        case 'screen-01':
-          addText(q('.hero-type .type-ghost'), { y: 10, x: -6 }, { duration: 0.42, stagger: 0.08 }, '-=0.25');
-          addObject(q('.hero-figure'), { y: 32, scale: 0.965, rotate: -0.6 }, { duration: 0.75 }, '-=0.15');
-          addText(q('.hero-copy > *'), { y: 16 }, { duration: 0.4, stagger: 0.08 }, '-=0.35');
-          addText(q('.hero-cta-row'), { y: 10, x: -6 }, { duration: 0.35 }, '-=0.25');
-          break;
-        case 'screen-02':
-          add(q('.screen-02__env'), { y: 0 }, { duration: 0.5 });
-          addText(q('.screen-02__ghost'), { y: 8, x: 8 }, { duration: 0.42, stagger: 0.08 }, '-=0.3');
-          addText(q('.screen-02__eyebrow'), { y: 10, autoAlpha: 0 }, { duration: 0.35 }, '-=0.3');
-          addText(q('.screen-02__headline'), { y: 14, autoAlpha: 0 }, { duration: 0.4 }, '-=0.35');
-          addText(q('.screen-02__body p'), { y: 14, autoAlpha: 0 }, { duration: 0.38, stagger: 0.08 }, '-=0.3');
-          addText(q('.screen-02__facts .fact'), { y: 16, x: -6 }, { duration: 0.4, stagger: 0.08 }, '-=0.25');
-          addObject(q('.screen-02__figure'), { y: 26, scale: 0.98, rotate: 0.6 }, { duration: 0.75 }, '-=0.4');
-          addObject(q('.screen-02__quote'), { y: 12, x: 6, z: -40 }, { duration: 0.6 }, '-=0.45');
-          break;
-        case 'screen-03':
-          add(q('.screen-03__env'), { y: 0 }, { duration: 0.5 });
-          addText(q('.screen-03__headline'), { y: 14, x: -8 }, { duration: 0.4 }, '-=0.3');
-          addText(q('.screen-03__intro'), { y: 14, x: -6 }, { duration: 0.38 }, '-=0.3');
-          addText(q('.process-block'), { y: 18, x: -10 }, { duration: 0.45, stagger: 0.1 }, '-=0.25');
-          addText(q('.screen-03__footer-note'), { y: 10, x: -6 }, { duration: 0.32 }, '-=0.2');
-          addObject(q('.screen-03__figure'), { y: 28, x: 14, scale: 0.98 }, { duration: 0.72 }, '-=0.55');
-          break;
-        case 'screen-04':
-          add(q('.screen-04__env'), { y: 0 }, { duration: 0.5 });
-          addText(q('.screen-04__headline'), { y: 14, x: 6 }, { duration: 0.4 }, '-=0.35');
-          addText(q('.screen-04__subhead'), { y: 14, x: 6 }, { duration: 0.38 }, '-=0.35');
-          addObject(q('.pricing-card'), { y: 24, scale: 0.97, rotate: -0.4 }, { duration: 0.65, stagger: 0.12 }, '-=0.25');
-          addObject(q('.screen-04__fig-wrap'), { y: 24, scale: 0.97, rotate: 0.6 }, { duration: 0.7, stagger: 0.1 }, '-=0.45');
-          break;
-        case 'screen-05':
-          add(q('.screen-05__env'), { y: 0 }, { duration: 0.5 });
-          addText(q('.screen-05__ghost'), { y: 10, x: 8 }, { duration: 0.4, stagger: 0.08 }, '-=0.25');
-          addText(q('.screen-05__headline'), { y: 14, autoAlpha: 0 }, { duration: 0.4 }, '-=0.35');
-          addText(q('.screen-05__lead'), { y: 14, autoAlpha: 0 }, { duration: 0.38 }, '-=0.35');
-          addText(q('.screen-05__body p'), { y: 14, x: -6 }, { duration: 0.4, stagger: 0.08 }, '-=0.3');
-          addText(q('.screen-05__quote .q, .screen-05__quote .a'), { y: 8, x: 6 }, { duration: 0.32, stagger: 0.08 }, '-=0.25');
-          addText(q('.screen-05__facts .fact'), { y: 16, x: -6 }, { duration: 0.4, stagger: 0.08 }, '-=0.25');
-          addText(q('.screen-05__softcta'), { y: 10, x: -6 }, { duration: 0.32 }, '-=0.2');
-          addObject(q('.screen-05__figure'), { y: 28, scale: 0.98, rotate: -0.5 }, { duration: 0.72 }, '-=0.55');
-          break;
-        case 'screen-06':
-          add(q('.contact-screen__env'), { y: 0 }, { duration: 0.5 });
-          addTextInstant(q('.contact-screen__header > *'), { y: 10 }, { duration: 0.22, stagger: 0.06 }, '-=0.3');
-          addObject(q('.footer__brand'), { y: 18, x: -8 }, { duration: 0.6 }, '-=0.2');
-          addText(q('.footer__nav'), { y: 14, x: 8 }, { duration: 0.4, stagger: 0.1 }, '-=0.25');
-          addObject(q('.footer__social-link'), { y: 10, scale: 0.96, z: -30 }, { duration: 0.45, stagger: 0.05 }, '-=0.35');
-          addTextInstant(q('.footer__bottom'), { y: 6 }, { duration: 0.2 }, '-=0.2');
-          break;
-        default:
-          add(q('[data-layer="env"]'), { y: 0 }, { duration: 0.5 });
-          add(q('[data-layer="type"]'), { y: 12 }, { duration: 0.45 }, '-=0.3');
-          add(q('[data-layer="text"]'), { y: 16 }, { duration: 0.5 }, '-=0.3');
-          add(q('[data-layer="figure"]'), { y: 22, scale: 0.98 }, { duration: 0.6 }, '-=0.3');
-          break;
-      }
-
-      map.set(screen, {
-        tl,
-        reset: () => resetters.forEach((fn) => fn())
-      });
-    });
-
+    screenList.forEach((screen) => map.set(screen, createScreenTimeline(screen)));
     return map;
   };
 
-  const timelines = buildScreenTimelines(slides);
+  // GSAP timelines exist only while the full profile is active (built on first need).
+  let timelines = null;
+  const getTimelines = () => {
+    if (!timelines) timelines = buildScreenTimelines(slides);
+    return timelines;
+  };
+
+  // Stacked mobile sections can be much taller than the viewport, so they count as in view sooner.
+  const activeRatio = () => (getMotionProfile() === 'full' ? 0.55 : 0.15);
 
   const io = new IntersectionObserver((entries) => {
     entries.forEach((e) => {
-      setActive(e.target, e.isIntersecting);
-      if (!enableGsapAnimations) return;
-      const entry = timelines.get(e.target);
+      const inView = e.isIntersecting && e.intersectionRatio >= activeRatio();
+      if (inView === e.target.classList.contains('is-active')) return;
+      if (inView) {
+        trackEvent(EVENTS.SCREEN_ENTERED, { screen: e.target.id || e.target.dataset.screen });
+      }
+      setActive(e.target, inView);
+      if (getMotionProfile() !== 'full') return;
+      const entry = getTimelines().get(e.target);
       if (!entry) return;
-      if (e.isIntersecting) {
-        entry.tl.restart(true);
+      if (inView) {
+        entry.play();
       } else {
+        entry.tl.pause();
+        if (entry.exit()) return;
         entry.tl.pause(0);
-        if (e.target.id === 'screen-04') {
-          const cards = e.target.querySelectorAll('.pricing-card');
-          if (cards.length) {
-            gsap.to(cards, {
-              autoAlpha: 0,
-              y: 26,
-              scale: 0.98,
-              duration: 0.35,
-              stagger: 0.06,
-              onComplete: () => entry.reset()
-            });
-            return;
-          }
-        }
         entry.reset();
       }
     });
-  }, { threshold: 0.55 });
+  }, { threshold: [0, 0.15, 0.55] });
 
   slides.forEach(s => io.observe(s));
+
+  onMotionProfileChange((profile, previous) => {
+    if (previous === 'full' && timelines) {
+      timelines.forEach((entry) => entry.clear());
+      timelines = null;
+    }
+    if (profile !== 'full') return;
+    getTimelines().forEach((entry, screen) => {
+      if (screen.classList.contains('is-active')) entry.play();
+    });
+  });
 })();
 
-// 2) Subtle parallax (active slide only)
+// 2) Subtle parallax (active slide only, mobile profile)
 (function initParallax() {
-  if (reduceMotion || enableGsapAnimations) return;
 
   const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 
@@ -368,6 +166,7 @@ if (enableGsapAnimations) {
 
     raf = requestAnimationFrame(() => {
       raf = null;
+      if (getMotionProfile() !== 'mobile') return;
       const active = document.querySelector('[data-screen].is-active');
       if (!active) return;
 
@@ -388,26 +187,31 @@ if (enableGsapAnimations) {
   };
 
   window.addEventListener('scroll', onScroll, { passive: true });
+  onMotionProfileChange((profile) => {
+    if (profile === 'mobile') {
+      onScroll();
+      return;
+    }
+    document.querySelectorAll('[data-parallax="figure"]').forEach((el) => {
+      el.style.transform = '';
+    });
+  });
   onScroll();
 })();
 
-// 3) Scroll-driven fade for Screen 2 Figure
+// 3) Scroll-driven fade for Screen 2 Figure (mobile profile)
 (function initScrollFade() {
-  if (reduceMotion || enableGsapAnimations) return;
-
   const screen2 = document.querySelector('.screen-02');
   if (!screen2) return;
   const figures = screen2.querySelectorAll('[data-layer="figure"]');
   if (!figures.length) return;
 
-  // Set initial state
-  figures.forEach(f => f.style.opacity = '0');
-
   let raf = null;
   const onScroll = () => {
     if (raf) return;
     raf = requestAnimationFrame(() => {
       raf = null;
+      if (getMotionProfile() !== 'mobile') return;
 
       const rect = screen2.getBoundingClientRect();
       const viewH = window.innerHeight;
@@ -434,6 +238,15 @@ if (enableGsapAnimations) {
   };
 
   window.addEventListener('scroll', onScroll, { passive: true });
+  onMotionProfileChange((profile) => {
+    if (profile === 'mobile') {
+      onScroll();
+      return;
+    }
+    figures.forEach((f) => {
+      f.style.opacity = '';
+    });
+  });
   onScroll();
 })();
 
@@ -449,9 +262,9 @@ if (enableGsapAnimations) {
   const screenHeadline = heroScreen.querySelector('.screen-02__headline');
   const screenSubs = Array.from(heroScreen.querySelectorAll('.screen-02__sub'));
   const priceValue = heroScreen.querySelector('.screen-02__price-value');
+  const priceNote = heroScreen.querySelector('.screen-02__price-note');
   const tabs = Array.from(heroScreen.querySelectorAll('.screen-02__tab'));
-  const defaultHeadline = screenHeadline ? screenHeadline.innerHTML : '';
-  const defaultSubs = screenSubs.map((el) => el.textContent || '');
+  const tabPanel = heroScreen.querySelector('[role="tabpanel"]');
   const prevBtn = heroScreen.querySelector('.hero-services__btn[data-dir="prev"]');
   const nextBtn = heroScreen.querySelector('.hero-services__btn[data-dir="next"]');
   const cards = () => Array.from(track.children);
@@ -459,8 +272,9 @@ if (enableGsapAnimations) {
   let isAnimating = false;
   const setShapeImage = (card) => {
     if (!shapeImages.length || !card) return;
-    const src = card.dataset.shapeImage;
-    if (!src) return;
+    const service = getService(card.dataset.serviceKey);
+    if (!service) return;
+    const src = service.image;
     const active = shapeImages.find((img) => img.classList.contains('is-active')) || shapeImages[0];
     const inactive = shapeImages.find((img) => img !== active) || shapeImages[0];
     inactive.setAttribute('src', src);
@@ -471,54 +285,47 @@ if (enableGsapAnimations) {
   const setServiceCopy = (card) => {
     if (!card) return;
     const activeKey = card.dataset.serviceKey || '';
-    if (serviceTitle) {
-      const fallbackTitle = card.querySelector('.hero-service-card__title');
-      serviceTitle.textContent = fallbackTitle ? fallbackTitle.textContent : '';
-    }
-    if (serviceDesc) {
-      const desc = card.dataset.desc || '';
-      if (desc) {
-        serviceDesc.textContent = desc;
-      } else {
-        const fallbackDesc = card.querySelector('.hero-service-card__desc');
-        serviceDesc.textContent = fallbackDesc ? fallbackDesc.textContent : '';
-      }
-    }
-
-    if (screenHeadline && card.dataset.headline) {
-      screenHeadline.innerHTML = card.dataset.headline;
-    }
-    if (screenSubs.length) {
-      screenSubs[0].textContent = card.dataset.sub1 || defaultSubs[0] || '';
-      if (screenSubs[1]) {
-        screenSubs[1].textContent = card.dataset.sub2 || defaultSubs[1] || '';
-      }
-    }
-
-    const facts = card.dataset.facts;
-    if (facts) {
-      const factItems = facts.split('|').map((item) => {
-        const parts = item.split(':');
-        return { k: parts[0] || '', v: parts.slice(1).join(':') || '' };
-      });
-      const factEls = heroScreen.querySelectorAll('.screen-02__facts .fact');
-      factEls.forEach((el, idx) => {
-        const data = factItems[idx];
-        if (!data) return;
-        const key = el.querySelector('.fact__k');
-        const val = el.querySelector('.fact__v');
-        if (key) key.textContent = data.k;
-        if (val) val.textContent = data.v;
+    const service = getService(activeKey);
+    if (!service) return;
+    if (serviceTitle) serviceTitle.textContent = service.title;
+    if (serviceDesc) serviceDesc.textContent = service.summary;
+
+    if (screenHeadline) {
+      const lines = [];
+      service.headline.forEach((line, i) => {
+        if (i) lines.push(document.createElement('br'));
+        lines.push(document.createTextNode(line));
       });
+      screenHeadline.replaceChildren(...lines);
     }
+    screenSubs.forEach((el, idx) => {
+      el.textContent = service.body[idx] || '';
+    });
 
-    if (priceValue) {
-      priceValue.textContent = card.dataset.price || priceValue.textContent;
+    const factEls = heroScreen.querySelectorAll('.screen-02__facts .fact');
+    factEls.forEach((el, idx) => {
+      const data = service.facts[idx];
+      el.hidden = !data;
+      if (!data) return;
+      const key = el.querySelector('.fact__k');
+      const val = el.querySelector('.fact__v');
+      if (key) key.textContent = data.label;
+      if (val) val.textContent = data.value;
+    });
+
+    if (priceValue) priceValue.textContent = service.priceText;
+    if (priceNote) {
+      priceNote.textContent = describeConversion(service.price);
+      priceNote.hidden = !priceNote.textContent;
     }
 
     if (tabs.length && activeKey) {
       tabs.forEach((tab) => {
-        tab.classList.toggle('is-active', tab.dataset.serviceTab === activeKey);
+        const isActive = tab.dataset.serviceTab === activeKey;
+        tab.classList.toggle('is-active', isActive);
+        tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        tab.setAttribute('tabindex', isActive ? '0' : '-1');
+        if (isActive && tabPanel && tab.id) tabPanel.setAttribute('aria-labelledby', tab.id);
       });
     }
   };
@@ -526,17 +333,33 @@ if (enableGsapAnimations) {
   setShapeImage(track.children[0]);
   setServiceCopy(track.children[0]);
 
+  const order = cards();
+  const keyOf = (card) => (card ? card.dataset.serviceKey || '' : '');
+  const hashPrefix = heroScreen.dataset.hashPrefix || 'service-';
   const dotsContainer = heroScreen.querySelector('.hero-services__dots');
 
-  // Create dots based on initial card count
+  const labelDots = () => {
+    if (!dotsContainer) return;
+    Array.from(dotsContainer.children).forEach((dot, i) => {
+      const service = getService(keyOf(order[i]));
+      dot.setAttribute('aria-label', t('services.show', 'Show {title}', {
+        title: service ? service.title : `${i + 1}`
+      }));
+    });
+  };
+
+  // One dot per service, in catalog order
   if (dotsContainer) {
-    const cardCount = track.children.length;
     dotsContainer.innerHTML = '';
-    for (let i = 0; i < cardCount; i++) {
-      const dot = document.createElement('div');
+    order.forEach((card, i) => {
+      const dot = document.createElement('button');
+      dot.type = 'button';
       dot.className = 'hero-services__dot' + (i === 0 ? ' is-active' : '');
+      dot.dataset.index = String(i);
+      if (i === 0) dot.setAttribute('aria-current', 'true');
       dotsContainer.appendChild(dot);
-    }
+    });
+    labelDots();
   }
 
   const updateDots = (index) => {
@@ -544,11 +367,23 @@ if (enableGsapAnimations) {
     const dots = Array.from(dotsContainer.children);
     dots.forEach((dot, i) => {
       dot.classList.toggle('is-active', i === index);
+      if (i === index) {
+        dot.setAttribute('aria-current', 'true');
+      } else {
+        dot.removeAttribute('aria-current');
+      }
     });
   };
 
   let activeIndex = 0;
 
+  const syncHash = () => {
+    const key = keyOf(order[activeIndex]);
+    if (!key) return;
+    const url = `${window.location.pathname}${window.location.search}#${hashPrefix}${key}`;
+    window.history.replaceState(window.history.state, '', url);
+  };
+
   const getOffset = () => {
     const first = track.children[0];
     if (!first) return 0;
@@ -556,70 +391,319 @@ if (enableGsapAnimations) {
     return first.getBoundingClientRect().width + gap;
   };
 
-  const shiftNext = () => {
-    if (isAnimating) return;
-    const first = track.children[0];
-    if (!first) return;
-    isAnimating = true;
-    const offset = getOffset();
-
-    const nextCard = track.children[1] || first;
-    setShapeImage(nextCard);
-    setServiceCopy(nextCard);
-    activeIndex = (activeIndex + 1) % track.children.length;
+  // Rotate the track by `steps` cards (negative = backwards) in a single tween.
+  const shiftBy = (steps, options) => {
+    if (isAnimating || !steps) return;
+    const total = order.length;
+    const count = Math.min(Math.abs(steps), total - 1);
+    if (!count) return;
+    const opts = options || {};
+    const forward = steps > 0;
+
+    activeIndex = (activeIndex + (forward ? count : -count) + total) % total;
+    const target = order[activeIndex];
+    setShapeImage(target);
+    setServiceCopy(target);
     updateDots(activeIndex);
-    gsap.to(first, {
-      autoAlpha: 0,
-      y: 28,
-      scale: 0.9,
-      rotationX: 12,
-      transformPerspective: 800,
-      duration: 0.35
-    });
+    if (opts.syncHash !== false) syncHash();
+    // Only views the guest chose: autoplay ticks would inflate the counts.
+    if (opts.trigger !== 'autoplay') {
+      trackEvent(EVENTS.SERVICE_VIEWED, { service: keyOf(target), index: activeIndex, trigger: opts.trigger || 'control' });
+    }
 
-    gsap.to(track, {
-      x: -offset,
-      duration: 0.45,
-      ease: 'power2.inOut',
-      onComplete: () => {
-        track.appendChild(first);
-        gsap.set(track, { x: 0 });
-        gsap.set(first, { autoAlpha: 1, y: 0, scale: 1, rotationX: 0 });
-        isAnimating = false;
+    const items = cards();
+    if (opts.instant || prefersReducedMotion()) {
+      if (forward) {
+        items.slice(0, count).forEach((card) => track.appendChild(card));
+      } else {
+        items.slice(items.length - count).reverse().forEach((card) => track.insertBefore(card, track.firstChild));
       }
-    });
-  };
+      gsap.set(track, { clearProps: 'transform' });
+      return;
+    }
 
-  const shiftPrev = () => {
-    if (isAnimating) return;
-    const items = cards();
-    const last = items[items.length - 1];
-    if (!last) return;
     isAnimating = true;
     const offset = getOffset();
+    const duration = 0.45 + 0.08 * (count - 1);
+
+    if (forward) {
+      const leaving = items.slice(0, count);
+      gsap.to(leaving, {
+        autoAlpha: 0,
+        y: 28,
+        scale: 0.9,
+        rotationX: 12,
+        transformPerspective: 800,
+        duration: 0.35,
+        stagger: 0.05
+      });
 
-    setShapeImage(last);
-    setServiceCopy(last);
-    activeIndex = (activeIndex - 1 + track.children.length) % track.children.length;
-    updateDots(activeIndex);
-    track.insertBefore(last, track.firstChild);
-    gsap.set(track, { x: -offset });
-    gsap.fromTo(last, { autoAlpha: 0, scale: 0.92 }, { autoAlpha: 1, scale: 1, duration: 0.35 });
+      gsap.to(track, {
+        x: -offset * count,
+        duration,
+        ease: 'power2.inOut',
+        onComplete: () => {
+          leaving.forEach((card) => track.appendChild(card));
+          gsap.set(track, { clearProps: 'transform' });
+          gsap.set(leaving, { clearProps: 'opacity,visibility,transform' });
+          isAnimating = false;
+        }
+      });
+      return;
+    }
+
+    const entering = items.slice(items.length - count);
+    entering.slice().reverse().forEach((card) => track.insertBefore(card, track.firstChild));
+    gsap.set(track, { x: -offset * count + (opts.fromX || 0) });
+    gsap.fromTo(entering, { autoAlpha: 0, scale: 0.92 }, {
+      autoAlpha: 1,
+      scale: 1,
+      duration: 0.35,
+      stagger: 0.05,
+      clearProps: 'opacity,visibility,transform'
+    });
     gsap.to(track, {
       x: 0,
-      duration: 0.45,
+      duration,
       ease: 'power2.inOut',
       onComplete: () => {
+        gsap.set(track, { clearProps: 'transform' });
         isAnimating = false;
       }
     });
   };
 
+  // Reduced motion switched on mid-slide: finish it so the card order is final, then drop inline styles.
+  onMotionProfileChange((profile) => {
+    if (profile !== 'reduced') return;
+    const targets = [track, ...cards()];
+    gsap.getTweensOf(targets).forEach((tween) => tween.progress(1));
+    gsap.set(targets, { clearProps: 'opacity,visibility,transform' });
+    isAnimating = false;
+  });
+
+  const shiftNext = (options) => shiftBy(1, options);
+  const shiftPrev = (options) => shiftBy(-1, options);
+
+  // Jump straight to a service, taking the shorter way round the loop.
+  const goToIndex = (index, options) => {
+    const total = order.length;
+    if (index < 0 || index >= total || index === activeIndex) return;
+    let delta = index - activeIndex;
+    if (delta > total / 2) delta -= total;
+    if (delta < -total / 2) delta += total;
+    shiftBy(delta, options);
+  };
+
+  const goToKey = (key, options) => {
+    goToIndex(order.findIndex((card) => keyOf(card) === key), options);
+  };
+
   if (nextBtn) {
-    nextBtn.addEventListener('click', shiftNext);
+    nextBtn.addEventListener('click', () => shiftNext({ trigger: 'button' }));
   }
   if (prevBtn) {
-    prevBtn.addEventListener('click', shiftPrev);
+    prevBtn.addEventListener('click', () => shiftPrev({ trigger: 'button' }));
+  }
+
+  if (dotsContainer) {
+    dotsContainer.addEventListener('click', (e) => {
+      const dot = e.target instanceof HTMLElement ? e.target.closest('.hero-services__dot') : null;
+      if (dot) goToIndex(parseInt(dot.dataset.index, 10), { trigger: 'dot' });
+    });
+  }
+
+  tabs.forEach((tab, i) => {
+    tab.addEventListener('click', () => goToKey(tab.dataset.serviceTab, { trigger: 'tab' }));
+    tab.addEventListener('keydown', (e) => {
+      let next = null;
+      if (e.key === 'ArrowRight') next = tabs[(i + 1) % tabs.length];
+      if (e.key === 'ArrowLeft') next = tabs[(i - 1 + tabs.length) % tabs.length];
+      if (e.key === 'Home') next = tabs[0];
+      if (e.key === 'End') next = tabs[tabs.length - 1];
+      if (!next) return;
+      // Handled here so the page-level arrow handler does not shift a second time.
+      e.preventDefault();
+      e.stopPropagation();
+      next.focus();
+      goToKey(next.dataset.serviceTab, { trigger: 'tab' });
+    });
+  });
+
+  const readHashKey = () => {
+    const hash = decodeURIComponent(window.location.hash.replace(/^#/, ''));
+    return hash.startsWith(hashPrefix) ? hash.slice(hashPrefix.length) : '';
+  };
+
+  const onHashChange = () => {
+    const key = readHashKey();
+    if (key) goToKey(key, { instant: true, syncHash: false, trigger: 'hash' });
+  };
+
+  window.addEventListener('hashchange', onHashChange);
+  onHashChange();
+
+  const visual = heroScreen.querySelector('.hero-services');
+
+  // Autoplay (opt-in via data-autoplay="<ms>"), paused on hover, focus, hidden tab,
+  // user request and prefers-reduced-motion. The toggle satisfies WCAG 2.2.2.
+  const autoplayMs = visual ? parseInt(visual.dataset.autoplay, 10) : NaN;
+  const toggleBtn = heroScreen.querySelector('.hero-services__toggle');
+  const pauseReasons = new Set();
+  let autoplayTimer = null;
+
+  const scheduleAutoplay = () => {
+    window.clearTimeout(autoplayTimer);
+    autoplayTimer = null;
+    if (!Number.isFinite(autoplayMs) || autoplayMs <= 0 || pauseReasons.size) return;
+    autoplayTimer = window.setTimeout(() => {
+      if (heroScreen.classList.contains('is-active') && !isModalOpen()) shiftBy(1, { syncHash: false, trigger: 'autoplay' });
+      scheduleAutoplay();
+    }, autoplayMs);
+  };
+
+  const pauseFor = (reason, on) => {
+    if (on) {
+      pauseReasons.add(reason);
+    } else {
+      pauseReasons.delete(reason);
+    }
+    scheduleAutoplay();
+  };
+
+  // Pointer drag / swipe: follow the finger, then snap by distance + flick velocity.
+  let drag = null;
+  let suppressClick = false;
+
+  const onPointerDown = (e) => {
+    if (isAnimating || e.button > 0 || isModalOpen()) return;
+    if (e.target instanceof HTMLElement && e.target.closest('button, a')) {
+      if (e.pointerType === 'mouse') return;
+    }
+    drag = {
+      id: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      dx: 0,
+      lastX: e.clientX,
+      lastT: performance.now(),
+      velocity: 0,
+      active: false
+    };
+  };
+
+  const onPointerMove = (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (!drag.active) {
+      if (Math.abs(dx) < 8 || Math.abs(dx) < Math.abs(dy)) {
+        // A mostly vertical gesture belongs to the page scroll.
+        if (Math.abs(dy) > 8) drag = null;
+        return;
+      }
+      drag.active = true;
+      track.setPointerCapture(e.pointerId);
+      track.classList.add('is-dragging');
+      pauseFor('drag', true);
+    }
+    const now = performance.now();
+    const dt = Math.max(1, now - drag.lastT);
+    drag.velocity = (e.clientX - drag.lastX) / dt;
+    drag.lastX = e.clientX;
+    drag.lastT = now;
+    // Nothing sits left of the first card, so dragging backwards is resisted.
+    drag.dx = dx > 0 ? dx * 0.45 : dx;
+    gsap.set(track, { x: drag.dx });
+  };
+
+  const endDrag = (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+    const { active, dx, velocity } = drag;
+    drag = null;
+    if (!active) return;
+    track.classList.remove('is-dragging');
+    if (track.hasPointerCapture(e.pointerId)) track.releasePointerCapture(e.pointerId);
+    suppressClick = true;
+    window.setTimeout(() => {
+      suppressClick = false;
+    }, 0);
+    pauseFor('drag', false);
+
+    const offset = getOffset() || 1;
+    // Momentum: project where a flick would carry the track (~250ms of travel).
+    const projected = dx + velocity * 250;
+    let steps = -Math.round(projected / offset);
+    if (!steps && Math.abs(velocity) > 0.5) steps = velocity < 0 ? 1 : -1;
+    steps = Math.max(-(order.length - 1), Math.min(order.length - 1, steps));
+    if (!steps) {
+      if (prefersReducedMotion()) {
+        gsap.set(track, { clearProps: 'transform' });
+      } else {
+        gsap.to(track, { x: 0, duration: 0.3, ease: 'power2.out', clearProps: 'transform' });
+      }
+      return;
+    }
+    shiftBy(steps, { fromX: dx, trigger: 'swipe' });
+  };
+
+  track.addEventListener('pointerdown', onPointerDown);
+  track.addEventListener('pointermove', onPointerMove);
+  track.addEventListener('pointerup', endDrag);
+  track.addEventListener('pointercancel', endDrag);
+  track.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    e.preventDefault();
+    e.stopPropagation();
+  }, true);
+
+  const syncToggle = () => {
+    if (!toggleBtn) return;
+    const playing = !pauseReasons.has('user') && !pauseReasons.has('reduced-motion');
+    toggleBtn.classList.toggle('is-playing', playing);
+    toggleBtn.setAttribute('aria-label', playing
+      ? t('services.pause', 'Pause automatic rotation')
+      : t('services.play', 'Start automatic rotation'));
+    toggleBtn.textContent = playing ? '❚❚' : '▶';
+  };
+
+  if (Number.isFinite(autoplayMs) && autoplayMs > 0) {
+    if (getMotionProfile() === 'reduced') pauseReasons.add('reduced-motion');
+    onMotionProfileChange((profile, previous) => {
+      if (profile === 'reduced') pauseFor('reduced-motion', true);
+      if (previous === 'reduced') pauseFor('reduced-motion', false);
+      syncToggle();
+    });
+
+    if (toggleBtn) {
+      toggleBtn.hidden = false;
+      toggleBtn.addEventListener('click', () => {
+        const resume = pauseReasons.has('user') || pauseReasons.has('reduced-motion');
+        // An explicit play overrides the reduced-motion default.
+        pauseReasons.delete('reduced-motion');
+        pauseFor('user', !resume);
+        syncToggle();
+      });
+    }
+
+    if (visual) {
+      visual.addEventListener('pointerenter', (e) => {
+        if (e.pointerType === 'mouse') pauseFor('hover', true);
+      });
+      visual.addEventListener('pointerleave', () => pauseFor('hover', false));
+    }
+    [visual, heroScreen.querySelector('.hero-services__controls'), heroScreen.querySelector('.screen-02__tabs')]
+      .filter(Boolean)
+      .forEach((el, i) => {
+        el.addEventListener('focusin', () => pauseFor(`focus-${i}`, true));
+        el.addEventListener('focusout', (e) => {
+          if (!el.contains(e.relatedTarget)) pauseFor(`focus-${i}`, false);
+        });
+      });
+    document.addEventListener('visibilitychange', () => pauseFor('hidden', document.hidden));
+
+    syncToggle();
+    scheduleAutoplay();
   }
 
   const shouldIgnore = (target) => {
@@ -628,18 +712,25 @@ if (enableGsapAnimations) {
   };
 
   const onKeyDown = (e) => {
-    if (shouldIgnore(e.target)) return;
+    if (isModalOpen() || shouldIgnore(e.target)) return;
     if (heroScreen && !heroScreen.classList.contains('is-active')) return;
     if (e.key === 'ArrowRight') {
       e.preventDefault();
-      shiftNext();
+      shiftNext({ trigger: 'key' });
     } else if (e.key === 'ArrowLeft') {
       e.preventDefault();
-      shiftPrev();
+      shiftPrev({ trigger: 'key' });
     }
   };
 
   window.addEventListener('keydown', onKeyDown);
+
+  onLocaleChange(() => {
+    setServiceCopy(order[activeIndex]);
+    labelDots();
+    syncToggle();
+  });
+  onCurrencyChange(() => setServiceCopy(order[activeIndex]));
 })();
 
 // 5) Screen 03/04: Steps -> image + description swap
@@ -655,8 +746,15 @@ if (enableGsapAnimations) {
 
     if (!steps.length || !photo || !descTitle || !descBody) return;
 
-    const setActive = (step) => {
+    const setActive = (step, silent) => {
       if (!step) return;
+      if (!silent && !step.classList.contains('is-active')) {
+        trackEvent(EVENTS.STEP_VIEWED, {
+          screen: screen.id,
+          step: steps.indexOf(step) + 1,
+          title: step.dataset.title || ''
+        });
+      }
       steps.forEach((el) => el.classList.toggle('is-active', el === step));
       descTitle.textContent = step.dataset.title || '';
       descBody.textContent = step.dataset.desc || '';
@@ -677,61 +775,17 @@ if (enableGsapAnimations) {
     });
 
     const initial = steps.find((el) => el.classList.contains('is-active')) || steps[0];
-    setActive(initial);
+    setActive(initial, true);
+    // data-title / data-desc / data-alt were just relabelled by i18n.js.
+    onLocaleChange(() => setActive(steps.find((el) => el.classList.contains('is-active')) || initial, true));
   });
 })();
 
-// 6) Modal system (Plan a trip + Call me back)
-(function initModals() {
-  const triggers = Array.from(document.querySelectorAll('[data-modal-open]'));
-  if (!triggers.length) return;
-
-  const openModal = (modal) => {
-    if (!modal) return;
-    modal.classList.add('is-open');
-    modal.setAttribute('aria-hidden', 'false');
-    document.body.classList.add('modal-open');
-    const firstInput = modal.querySelector('input, textarea, button');
-    if (firstInput) firstInput.focus();
-  };
-
-  const closeModal = (modal) => {
-    if (!modal) return;
-    modal.classList.remove('is-open');
-    modal.setAttribute('aria-hidden', 'true');
-    if (!document.querySelector('.modal.is-open')) {
-      document.body.classList.remove('modal-open');
-    }
-  };
-
-  triggers.forEach((btn) => {
-    const target = btn.getAttribute('data-modal-open');
-    if (!target) return;
-    const modal = document.querySelector(`#${target}-modal`);
-    if (!modal) return;
-    btn.addEventListener('click', (e) => {
-      e.preventDefault();
-      openModal(modal);
-    });
-  });
-
-  document.addEventListener('click', (e) => {
-    const target = e.target;
-    if (!(target instanceof HTMLElement)) return;
-    if (target.matches('[data-modal-close]')) {
-      const modal = target.closest('.modal');
-      closeModal(modal);
-    }
-  });
-
-  window.addEventListener('keydown', (e) => {
-    if (e.key !== 'Escape') return;
-    const openModalEl = document.querySelector('.modal.is-open');
-    if (openModalEl) closeModal(openModalEl);
-  });
-})();
+// 6) Modal system (Plan a trip + Call me back): stack, focus trap, deep links
+initModals();
 
 // 7) Styled calendar for Plan a trip date input
+//    (WAI-ARIA date picker dialog: grid + roving tabindex + live month label)
 (function initPlanTripCalendar() {
   const modal = document.querySelector('#plan-trip-modal');
   if (!modal) return;
@@ -740,15 +794,58 @@ if (enableGsapAnimations) {
   const calendar = modal.querySelector('.modal__calendar');
   if (!input || !calendar) return;
 
-  const monthNames = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
-  const weekDays = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+  // The visible input shows a localized date; the ISO value is submitted via a hidden field.
+  const isoField = (input.form && input.dataset.isoField && input.form.elements.namedItem(input.dataset.isoField)) || input;
+
+  // Multi-day services switch the picker into start/end range mode.
+  const serviceInputs = input.form
+    ? Array.from(input.form.querySelectorAll('input[name="services[]"]'))
+    : [];
+
+  const placeholders = {
+    single: () => t('calendar.selectDate', 'Select a date'),
+    range: () => t('calendar.selectRange', 'Select start and end dates')
+  };
 
   let current = new Date();
+  let focused = null;
   let selected = null;
+  let rangeEnd = null;
+  let hovered = null;
   let isOpen = false;
+  let mode = 'single';
+  let blocked = new Set();
+  let availabilityRequest = null;
+
+  if (!calendar.id) calendar.id = 'plan-trip-calendar';
+  const labelId = `${calendar.id}-label`;
+  calendar.setAttribute('role', 'dialog');
+  calendar.setAttribute('aria-modal', 'true');
+  calendar.setAttribute('aria-labelledby', labelId);
+  input.setAttribute('aria-haspopup', 'dialog');
+  input.setAttribute('aria-controls', calendar.id);
+  input.setAttribute('aria-expanded', 'false');
+
+  calendar.innerHTML = `
+    <div class="modal__calendar-header">
+      <button class="modal__calendar-btn" type="button" data-cal="prev">‹</button>
+      <div class="modal__calendar-label" id="${labelId}" aria-live="polite"></div>
+      <button class="modal__calendar-btn" type="button" data-cal="next">›</button>
+    </div>
+    <div class="modal__calendar-grid" role="grid" aria-labelledby="${labelId}"></div>
+    <div class="modal__calendar-footer" aria-live="polite" hidden></div>
+  `;
+  const prevBtn = calendar.querySelector('[data-cal="prev"]');
+  const nextBtn = calendar.querySelector('[data-cal="next"]');
+  const monthLabel = calendar.querySelector('.modal__calendar-label');
+  const gridEl = calendar.querySelector('.modal__calendar-grid');
+  const footerEl = calendar.querySelector('.modal__calendar-footer');
+
+  const labelControls = () => {
+    prevBtn.setAttribute('aria-label', t('calendar.prev', 'Previous month'));
+    nextBtn.setAttribute('aria-label', t('calendar.next', 'Next month'));
+    input.setAttribute('placeholder', placeholders[mode]());
+  };
 
   const formatDate = (date) => {
     const y = date.getFullYear();
@@ -757,80 +854,281 @@ if (enableGsapAnimations) {
     return `${y}-${m}-${d}`;
   };
 
+  const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+  const addMonths = (date, months) => {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+  };
+
+  const nightsBetween = (start, end) => {
+    const a = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+    const b = Date.UTC(end.getFullYear(), end.getMonth(), end.getDate());
+    return Math.round((b - a) / 86400000);
+  };
+
+  const nightsLabel = (n) => plural('calendar.nights', n, n === 1 ? '{count} night' : '{count} nights');
+
   const parseInput = () => {
-    if (!input.value) return null;
-    const [y, m, d] = input.value.split('-').map((v) => parseInt(v, 10));
-    if (!y || !m || !d) return null;
-    return new Date(y, m - 1, d);
+    const [start, end] = (isoField.value || '').split('/');
+    return { start: parseIsoDate(start), end: parseIsoDate(end) };
+  };
+
+  const writeValue = () => {
+    const locale = getLocale();
+    if (!selected) {
+      isoField.value = '';
+      input.value = '';
+    } else if (mode === 'range' && rangeEnd) {
+      isoField.value = `${formatDate(selected)}/${formatDate(rangeEnd)}`;
+      input.value = formatDisplayRange(selected, rangeEnd, locale);
+    } else {
+      isoField.value = formatDate(selected);
+      input.value = formatDisplayDate(selected, locale);
+    }
+  };
+
+  const commitValue = () => {
+    writeValue();
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  // Blocked days come from the shared feed (see availability.js).
+  const loadBlockedDays = () => {
+    if (availabilityRequest) return;
+    availabilityRequest = loadAvailability(input.dataset.availability).then((days) => {
+      blocked = days;
+      if (isOpen) render(calendar.contains(document.activeElement));
+    });
+  };
+
+  const isDisabled = (date, bounds) => date < bounds.min || date > bounds.max || blocked.has(formatDate(date));
+
+  const rangeIsOpen = (start, end) => isRangeOpen(blocked, start, end);
+
+  // Keyboard focus may not leave [first day of this month, last bookable day].
+  const clampFocus = (date) => {
+    const today = new Date();
+    const floor = new Date(today.getFullYear(), today.getMonth(), 1);
+    const { max } = getDateWindow(input);
+    if (date < floor) return floor;
+    if (date > max) return max;
+    return date;
+  };
+
+  const footerText = () => {
+    if (mode !== 'range') return '';
+    if (selected && rangeEnd) return nightsLabel(nightsBetween(selected, rangeEnd));
+    if (selected && hovered && hovered > selected) return nightsLabel(nightsBetween(selected, hovered));
+    return selected
+      ? t('calendar.selectEnd', 'Select your end date')
+      : t('calendar.selectStart', 'Select your start date');
+  };
+
+  const paintRange = () => {
+    const end = rangeEnd || (mode === 'range' && selected && hovered && hovered > selected ? hovered : null);
+    gridEl.querySelectorAll('[data-date]').forEach((cell) => {
+      const date = parseIsoDate(cell.getAttribute('data-date'));
+      const isStart = !!(selected && date.getTime() === selected.getTime());
+      const isEnd = !!(end && date.getTime() === end.getTime());
+      const inRange = !!(selected && end && date > selected && date < end);
+      cell.classList.toggle('is-in-range', inRange);
+      cell.classList.toggle('is-preview', (inRange || isEnd) && !rangeEnd);
+      cell.classList.toggle('is-range-end', isEnd);
+      const isSelected = isStart || (!!rangeEnd && (inRange || isEnd));
+      cell.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+    });
+    footerEl.hidden = mode !== 'range';
+    footerEl.textContent = footerText();
+  };
+
+  const focusCell = () => {
+    if (!focused) return;
+    const cell = gridEl.querySelector(`[data-date="${formatDate(focused)}"]`);
+    if (cell) cell.focus();
   };
 
-  const render = () => {
+  const render = (moveFocus) => {
+    const locale = getLocale();
+    const weekDays = getWeekDays(locale);
     const year = current.getFullYear();
     const month = current.getMonth();
     const first = new Date(year, month, 1);
-    const startDay = first.getDay();
+    const startDay = (first.getDay() - weekDays[0].index + 7) % 7;
     const daysInMonth = new Date(year, month + 1, 0).getDate();
-
+    const bounds = getDateWindow(input);
+    const today = new Date();
+    const todayValue = formatDate(today);
+    const canPrev = year > today.getFullYear() || (year === today.getFullYear() && month > today.getMonth());
+    const canNext = new Date(year, month + 1, 1) <= bounds.max;
+
+    if (!focused || focused.getMonth() !== month || focused.getFullYear() !== year) {
+      const inMonth = (date) => date && date.getMonth() === month && date.getFullYear() === year;
+      focused = [selected, bounds.min].find(inMonth) || first;
+    }
+    const focusedValue = formatDate(focused);
     const selectedValue = selected ? formatDate(selected) : '';
 
-    const header = `
-      <div class="modal__calendar-header">
-        <button class="modal__calendar-btn" type="button" data-cal="prev">‹</button>
-        <div>${monthNames[month]} ${year}</div>
-        <button class="modal__calendar-btn" type="button" data-cal="next">›</button>
-      </div>
-    `;
+    prevBtn.disabled = !canPrev;
+    nextBtn.disabled = !canNext;
+    const label = getMonthLabel(first, locale);
+    if (monthLabel.textContent !== label) monthLabel.textContent = label;
 
-    let grid = '<div class="modal__calendar-grid">';
+    let grid = '<div class="modal__calendar-row" role="row">';
     weekDays.forEach((day) => {
-      grid += `<div class="modal__calendar-weekday">${day}</div>`;
+      grid += `<div class="modal__calendar-weekday" role="columnheader" aria-label="${day.long}">${day.short}</div>`;
     });
+    grid += '</div><div class="modal__calendar-row" role="row">';
 
     for (let i = 0; i < startDay; i++) {
-      grid += '<div class="modal__calendar-day is-empty"></div>';
+      grid += '<div class="modal__calendar-day is-empty" role="gridcell"></div>';
     }
 
     for (let day = 1; day <= daysInMonth; day++) {
       const date = new Date(year, month, day);
       const value = formatDate(date);
-      const selectedClass = value === selectedValue ? ' is-selected' : '';
-      grid += `<button class="modal__calendar-day${selectedClass}" type="button" data-date="${value}">${day}</button>`;
+      let classes = 'modal__calendar-day';
+      if (value === selectedValue) classes += ' is-selected';
+      if (rangeEnd && value === formatDate(rangeEnd)) classes += ' is-selected';
+      if (value === todayValue) classes += ' is-today';
+      const disabled = isDisabled(date, bounds);
+      if (disabled) classes += ' is-disabled';
+      let attrs = ` tabindex="${value === focusedValue ? '0' : '-1'}"`;
+      const note = disabled ? `, ${t('calendar.unavailable', 'unavailable')}` : '';
+      attrs += ` aria-label="${formatLocalDate(date, { dateStyle: 'full' }, locale)}${note}"`;
+      if (disabled) attrs += ' aria-disabled="true"';
+      if (value === todayValue) attrs += ' aria-current="date"';
+      if ((startDay + day - 1) % 7 === 0 && day !== 1) grid += '</div><div class="modal__calendar-row" role="row">';
+      grid += `<button class="${classes}" type="button" role="gridcell" data-date="${value}"${attrs}>${formatLocalDate(date, { day: 'numeric' }, locale)}</button>`;
     }
 
     grid += '</div>';
-    calendar.innerHTML = header + grid;
+    gridEl.innerHTML = grid;
+    paintRange();
+    if (moveFocus) focusCell();
+  };
+
+  const setMode = (nextMode) => {
+    if (nextMode === mode) return;
+    mode = nextMode;
+    input.dataset.dateMode = mode;
+    input.setAttribute('placeholder', placeholders[mode]());
+    hovered = null;
+    if (rangeEnd) {
+      rangeEnd = null;
+      commitValue();
+    }
+    if (isOpen) render(false);
   };
 
-  const open = () => {
-    if (isOpen) return;
+  const syncModeToServices = () => {
+    const wantsRange = serviceInputs.some((el) => el.checked && el.dataset.dateMode === 'range');
+    setMode(wantsRange ? 'range' : 'single');
+  };
+
+  const open = (moveFocus) => {
+    if (isOpen) {
+      if (moveFocus) focusCell();
+      return;
+    }
     isOpen = true;
     calendar.classList.add('is-open');
     calendar.setAttribute('aria-hidden', 'false');
+    input.setAttribute('aria-expanded', 'true');
+    loadBlockedDays();
     const parsed = parseInput();
-    if (parsed) {
-      selected = parsed;
-      current = new Date(parsed.getFullYear(), parsed.getMonth(), 1);
-    }
-    render();
+    selected = parsed.start;
+    rangeEnd = mode === 'range' ? parsed.end : null;
+    focused = selected || getDateWindow(input).min;
+    current = new Date(focused.getFullYear(), focused.getMonth(), 1);
+    render(moveFocus);
   };
 
-  const close = () => {
+  const close = (restoreFocus) => {
     if (!isOpen) return;
     isOpen = false;
+    hovered = null;
     calendar.classList.remove('is-open');
     calendar.setAttribute('aria-hidden', 'true');
+    input.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) input.focus();
+  };
+
+  // Position of a date within the locale's week (0 = first day of week).
+  const weekOffset = (date) => (date.getDay() - getWeekDays(getLocale())[0].index + 7) % 7;
+
+  const showMonthOf = (date) => {
+    focused = clampFocus(date);
+    if (focused.getMonth() !== current.getMonth() || focused.getFullYear() !== current.getFullYear()) {
+      current = new Date(focused.getFullYear(), focused.getMonth(), 1);
+      render(true);
+      return;
+    }
+    gridEl.querySelectorAll('[data-date]').forEach((cell) => {
+      cell.setAttribute('tabindex', cell.getAttribute('data-date') === formatDate(focused) ? '0' : '-1');
+    });
+    focusCell();
+  };
+
+  const pickDate = (date, fromKeyboard) => {
+    if (mode !== 'range') {
+      selected = date;
+      commitValue();
+      close(fromKeyboard || calendar.contains(document.activeElement));
+      return;
+    }
+    const startsOver = !selected || rangeEnd || date <= selected || !rangeIsOpen(selected, date);
+    if (startsOver) {
+      selected = date;
+      rangeEnd = null;
+      focused = date;
+      writeValue();
+      render(fromKeyboard);
+      return;
+    }
+    rangeEnd = date;
+    commitValue();
+    close(fromKeyboard || calendar.contains(document.activeElement));
+  };
+
+  const previewAt = (cell) => {
+    if (mode !== 'range' || !selected || rangeEnd) return;
+    const dateValue = cell instanceof HTMLElement ? cell.getAttribute('data-date') : null;
+    const date = dateValue && cell.getAttribute('aria-disabled') !== 'true' ? parseIsoDate(dateValue) : null;
+    hovered = date && rangeIsOpen(selected, date) ? date : null;
+    paintRange();
   };
 
   input.addEventListener('click', (e) => {
     e.preventDefault();
     e.stopPropagation();
     if (isOpen) {
-      close();
+      close(false);
     } else {
-      open();
+      open(false);
+    }
+  });
+  // Opens on click / Enter / Space / ArrowDown only, so tabbing through the form never
+  // lands in the dialog. Tabbing away from an open picker closes it (clicks outside are
+  // handled by the pointerdown listener below; a clicked day may not take focus).
+  input.addEventListener('blur', (e) => {
+    if (e.relatedTarget instanceof Node && !calendar.contains(e.relatedTarget)) close(false);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isOpen) {
+      // Close just the picker; the modal's own Escape handler must not see this.
+      e.preventDefault();
+      e.stopPropagation();
+      close(false);
+      return;
+    }
+    if (e.key === 'ArrowDown' || e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      open(true);
     }
   });
-  input.addEventListener('focus', open);
 
   calendar.addEventListener('click', (e) => {
     const target = e.target;
@@ -838,30 +1136,130 @@ if (enableGsapAnimations) {
     e.preventDefault();
     e.stopPropagation();
     const control = target.getAttribute('data-cal');
-    if (control === 'prev') {
-      current = new Date(current.getFullYear(), current.getMonth() - 1, 1);
-      render();
+    if (control === 'prev' || control === 'next') {
+      if (target.hasAttribute('disabled')) return;
+      current = new Date(current.getFullYear(), current.getMonth() + (control === 'prev' ? -1 : 1), 1);
+      render(false);
       return;
     }
-    if (control === 'next') {
-      current = new Date(current.getFullYear(), current.getMonth() + 1, 1);
-      render();
+    const dateValue = target.getAttribute('data-date');
+    if (dateValue && target.getAttribute('aria-disabled') !== 'true') {
+      focused = parseIsoDate(dateValue);
+      pickDate(focused, e.detail === 0);
+    }
+  });
+
+  calendar.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close(true);
       return;
     }
-    const dateValue = target.getAttribute('data-date');
-    if (dateValue) {
-      input.value = dateValue;
-      selected = parseInput();
-      close();
+
+    if (e.key === 'Tab') {
+      // Keep Tab inside the dialog: prev, next, the focused day.
+      const stops = [prevBtn, nextBtn, gridEl.querySelector('[tabindex="0"]')]
+        .filter((el) => el && !el.disabled);
+      const idx = stops.indexOf(document.activeElement);
+      e.preventDefault();
+      const next = stops[(idx + (e.shiftKey ? -1 : 1) + stops.length) % stops.length];
+      if (next) next.focus();
+      return;
+    }
+
+    const cell = e.target instanceof HTMLElement && e.target.matches('[data-date]') ? e.target : null;
+    if (!cell || !focused) return;
+
+    let next = null;
+    switch (e.key) {
+      case 'ArrowLeft':
+        next = addDays(focused, -1);
+        break;
+      case 'ArrowRight':
+        next = addDays(focused, 1);
+        break;
+      case 'ArrowUp':
+        next = addDays(focused, -7);
+        break;
+      case 'ArrowDown':
+        next = addDays(focused, 7);
+        break;
+      case 'PageUp':
+        next = addMonths(focused, e.shiftKey ? -12 : -1);
+        break;
+      case 'PageDown':
+        next = addMonths(focused, e.shiftKey ? 12 : 1);
+        break;
+      case 'Home':
+        next = addDays(focused, -weekOffset(focused));
+        break;
+      case 'End':
+        next = addDays(focused, 6 - weekOffset(focused));
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        if (cell.getAttribute('aria-disabled') !== 'true') pickDate(focused, true);
+        return;
+      default:
+        return;
     }
+    e.preventDefault();
+    e.stopPropagation();
+    showMonthOf(next);
+  });
+
+  calendar.addEventListener('mouseover', (e) => previewAt(e.target));
+  calendar.addEventListener('focusin', (e) => previewAt(e.target));
+
+  calendar.addEventListener('mouseleave', () => {
+    if (!hovered) return;
+    hovered = null;
+    paintRange();
   });
 
+  serviceInputs.forEach((el) => el.addEventListener('change', syncModeToServices));
+
+  // Something else (deep link, prefill) wrote the ISO value directly: mirror it.
+  if (isoField !== input) {
+    isoField.addEventListener('change', () => {
+      const parsed = parseInput();
+      selected = parsed.start;
+      rangeEnd = mode === 'range' ? parsed.end : null;
+      writeValue();
+      if (isOpen) render(false);
+    });
+  }
+
+  if (input.form) {
+    input.form.addEventListener('reset', () => {
+      selected = null;
+      rangeEnd = null;
+      // form.reset() leaves a hidden input's value alone: clear the ISO field ourselves.
+      writeValue();
+      // reset fires before the checkboxes are cleared
+      window.setTimeout(syncModeToServices, 0);
+    });
+  }
+
   document.addEventListener('pointerdown', (e) => {
     const target = e.target;
     if (!(target instanceof HTMLElement)) return;
     if (target === input || calendar.contains(target)) return;
-    close();
+    close(false);
   }, true);
+
+  // Month / weekday names and the displayed date follow <html data-locale>.
+  onLocaleChange(() => {
+    labelControls();
+    writeValue();
+    if (isOpen) render(calendar.contains(document.activeElement));
+  });
+
+  input.dataset.dateMode = mode;
+  labelControls();
+  syncModeToServices();
 })();
 
 // 8) Team cards flip (screen-04)
@@ -872,8 +1270,20 @@ if (enableGsapAnimations) {
   const toggleCard = (card) => {
     const isFlipped = card.classList.toggle('is-flipped');
     card.setAttribute('aria-pressed', isFlipped ? 'true' : 'false');
+    const name = card.querySelector('.screen-04__name');
+    trackEvent(EVENTS.TEAM_CARD_FLIPPED, { member: name ? name.textContent.trim() : '', flipped: isFlipped });
   };
 
+  // Leaving the team screen turns the cards back, so the entry plays on the portraits again.
+  const teamScreen = cards[0].closest('[data-screen]');
+  document.addEventListener('slidechange', (e) => {
+    if (e.target === teamScreen) return;
+    cards.forEach((card) => {
+      card.classList.remove('is-flipped');
+      card.setAttribute('aria-pressed', 'false');
+    });
+  });
+
   cards.forEach((card) => {
     card.addEventListener('click', () => toggleCard(card));
     card.addEventListener('keydown', (e) => {
@@ -884,3 +1294,23 @@ if (enableGsapAnimations) {
     });
   });
 })();
+
+// 9) Inline validation + lead form submission (Plan a trip + Call me back)
+initFormValidation();
+initLeadForms();
+
+// 10) Book buttons + ?service= / ?date= links -> prefilled Plan a trip request
+initTripPrefill();
+
+// 11) Footer newsletter signup (double opt-in, confirmed on newsletter-confirm.html)
+initNewsletter();
+
+// 12) Live cost estimate in Plan a trip (sent along with the request)
+initTripEstimate();
+
+// 13) Plan a trip as a step-by-step wizard
+initTripWizard();
+
+// 14) Draft autosave for every modal form ("Continue where you left off"); runs last so
+//     a restored draft reaches the calendar, the estimate and the wizard step
+initFormDrafts();
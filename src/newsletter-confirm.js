@@ -0,0 +1,55 @@
+/* Newsletter confirmation page (newsletter-confirm.html?token=…):
+   - Second step of the double opt-in: POSTs the emailed token to
+     VITE_NEWSLETTER_CONFIRM_ENDPOINT and shows the outcome
+   - The token is dropped from the address bar once read, so it is not left in history
+   - Shown in the language picked on the main site (stored by i18n.js)
+*/
+
+import { initI18n, t } from './i18n.js';
+import { postJson } from './post-json.js';
+
+const CONFIRM_ENDPOINT = import.meta.env.VITE_NEWSLETTER_CONFIRM_ENDPOINT || '/api/newsletter/confirm';
+
+const MESSAGES = {
+  confirming: 'Confirming your subscription…',
+  confirmed: 'You are subscribed. Expect the first letter at the start of next month.',
+  invalid: 'This confirmation link is invalid or has expired. Sign up again from the site footer to get a new one.',
+  error: 'We could not confirm your subscription right now. Please open the link again in a few minutes.'
+};
+
+const render = (root, state) => {
+  root.dataset.state = state;
+  const message = root.querySelector('[data-confirm-message]');
+  if (message) message.textContent = t(`newsletterConfirm.${state}`, MESSAGES[state]);
+  root.querySelectorAll('[data-confirm-show]').forEach((el) => {
+    el.hidden = !el.dataset.confirmShow.split(/\s+/).includes(state);
+  });
+};
+
+export async function initNewsletterConfirm() {
+  const root = document.querySelector('[data-newsletter-confirm]');
+  if (!root) return;
+
+  await initI18n();
+  const params = new URLSearchParams(window.location.search);
+  const token = (params.get('token') || '').trim();
+  if (!token) {
+    render(root, 'invalid');
+    return;
+  }
+
+  params.delete('token');
+  const query = params.toString();
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+  render(root, 'confirming');
+  try {
+    await postJson(CONFIRM_ENDPOINT, { token });
+    render(root, 'confirmed');
+  } catch (err) {
+    // A rejected token stays rejected; network / 5xx failures may work on a retry.
+    render(root, err.retryable ? 'error' : 'invalid');
+  }
+}
+
+initNewsletterConfirm();
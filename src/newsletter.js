@@ -0,0 +1,140 @@
+/* Newsletter signup (footer form, double opt-in):
+   - Validates the address, POSTs { email, website, page } to data-endpoint /
+     VITE_NEWSLETTER_ENDPOINT
+   - The backend mails a confirmation link to /newsletter-confirm.html?token=…
+     (see newsletter-confirm.js); nothing is subscribed until it is opened
+   - Inline status, one request at a time, and an address sent from this browser in the
+     last few minutes is not posted again (the list prunes itself, nothing is kept longer)
+   - `website` is the honeypot field: the backend quietly answers "pending" and drops
+     the signup when it is filled (bots), so it also holds for direct POSTs
+*/
+
+import { EVENTS, track } from './analytics.js';
+import { isValidEmail } from './form-validation.js';
+import { t } from './i18n.js';
+import { postJson } from './post-json.js';
+
+const DEFAULT_ENDPOINT = import.meta.env.VITE_NEWSLETTER_ENDPOINT || '/api/newsletter';
+const SENT_KEY = 'lantrn:newsletter';
+const SENT_TTL_MS = 10 * 60 * 1000;
+const FORM_NAME = 'newsletter';
+
+const MESSAGES = {
+  invalid: 'Enter a valid email address, e.g. you@email.com.',
+  sending: 'Signing you up…',
+  pending: 'Almost there! Check your inbox and confirm your subscription.',
+  subscribed: 'You are already subscribed. Thank you!',
+  duplicate: 'We already sent a confirmation link to this address. Please check your inbox.',
+  error: 'Something went wrong. Please try again in a moment.'
+};
+
+// Only a double-click guard: after SENT_TTL_MS the address can be sent again (e.g. for
+// a fresh link after an expired one) and the backend decides what a repeat means.
+const readSent = () => {
+  try {
+    const raw = window.localStorage.getItem(SENT_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    const now = Date.now();
+    return Array.isArray(list)
+      ? list.filter((item) => item && typeof item.email === 'string' && now - item.sentAt < SENT_TTL_MS)
+      : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const writeSent = (list) => {
+  try {
+    if (list.length) {
+      window.localStorage.setItem(SENT_KEY, JSON.stringify(list));
+    } else {
+      window.localStorage.removeItem(SENT_KEY);
+    }
+  } catch (e) {
+    // Private mode: duplicates are then only blocked while the request is in flight.
+  }
+};
+
+const wasSent = (email) => readSent().some((item) => item.email === email);
+
+const rememberSent = (email) => {
+  const list = readSent().filter((item) => item.email !== email);
+  list.push({ email, sentAt: Date.now() });
+  writeSent(list.slice(-5));
+};
+
+export function initNewsletter() {
+  const forms = Array.from(document.querySelectorAll('.footer__newsletter'));
+  // Drop expired (and older, unbounded) entries even if nobody signs up on this visit.
+  writeSent(readSent());
+
+  forms.forEach((form) => {
+    const input = form.querySelector('input[name="email"]');
+    const honeypot = form.querySelector('input[name="website"]');
+    const submit = form.querySelector('button[type="submit"]');
+    const status = form.parentElement.querySelector('.footer__newsletter-status');
+    const endpoint = form.dataset.endpoint || DEFAULT_ENDPOINT;
+    if (!input) return;
+
+    form.setAttribute('novalidate', '');
+
+    const setState = (state, messageKey) => {
+      if (state) {
+        form.dataset.state = state;
+      } else {
+        delete form.dataset.state;
+      }
+      form.setAttribute('aria-busy', state === 'sending' ? 'true' : 'false');
+      if (submit) submit.disabled = state === 'sending';
+      if (state === 'invalid') {
+        input.setAttribute('aria-invalid', 'true');
+      } else {
+        input.removeAttribute('aria-invalid');
+      }
+      if (status) {
+        const key = messageKey || state;
+        status.textContent = state ? t(`newsletter.${key}`, MESSAGES[key]) : '';
+        status.hidden = !state;
+        status.dataset.tone = state === 'invalid' || state === 'error' ? 'error' : 'ok';
+      }
+    };
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (form.dataset.state === 'sending') return;
+
+      const email = input.value.trim().toLowerCase();
+      if (!isValidEmail(email)) {
+        setState('invalid');
+        input.focus();
+        track(EVENTS.FORM_FAILED, { form: FORM_NAME, reason: 'invalid' });
+        return;
+      }
+      if (wasSent(email)) {
+        setState('success', 'duplicate');
+        return;
+      }
+
+      setState('sending');
+      try {
+        const res = await postJson(endpoint, {
+          email,
+          website: honeypot ? honeypot.value : '',
+          page: window.location.pathname
+        });
+        const result = res && res.status === 'subscribed' ? 'subscribed' : 'pending';
+        rememberSent(email);
+        form.reset();
+        setState('success', result);
+        track(EVENTS.FORM_SUBMITTED, { form: FORM_NAME, result });
+      } catch (err) {
+        setState('error');
+        track(EVENTS.FORM_FAILED, { form: FORM_NAME, reason: 'error', status: err.status || 0 });
+      }
+    });
+
+    input.addEventListener('input', () => {
+      if (form.dataset.state && form.dataset.state !== 'sending') setState(null);
+    });
+  });
+}
@@ -0,0 +1,42 @@
+/* JSON POST helper (lead forms, newsletter):
+   - Times out after REQUEST_TIMEOUT_MS
+   - Rejects with a RequestError carrying the HTTP status and whether a retry can help
+*/
+
+const REQUEST_TIMEOUT_MS = 12000;
+
+export class RequestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status || 0;
+    // 4xx means the server understood and rejected the payload; resending won't help.
+    this.retryable = !status || status >= 500 || status === 408 || status === 429;
+  }
+}
+
+export const postJson = async (endpoint, payload) => {
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timer = controller ? window.setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS) : null;
+  let res;
+  try {
+    res = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller ? controller.signal : undefined
+    });
+  } catch (e) {
+    throw new RequestError(e && e.message ? e.message : 'Network error');
+  } finally {
+    if (timer) window.clearTimeout(timer);
+  }
+  if (!res.ok) {
+    throw new RequestError(`Request failed with ${res.status}`, res.status);
+  }
+  try {
+    return await res.json();
+  } catch (e) {
+    return {};
+  }
+};
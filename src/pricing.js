@@ -0,0 +1,154 @@
+/* Pricing (structured service prices + display currency):
+   - Catalog prices are { amount, currency, unit: hour|day|package, days?, from? };
+     no amount means "Custom quote" (see scripts/validate-services.js)
+   - Formatted with Intl.NumberFormat in the page locale (follows the language switcher)
+   - [data-currency-switcher] selects show prices converted with the static table in
+     src/data/exchange-rates.json. Conversions are approximate and always marked as such;
+     bookings are still charged in the catalog currency
+   - The choice persists in localStorage; dispatches `currencychange` on document
+     ({ currency, previous })
+*/
+
+import exchange from './data/exchange-rates.json';
+import { onLocaleChange, plural, t } from './i18n.js';
+import { formatDate, getLocale } from './locale.js';
+
+const STORAGE_KEY = 'lantrn:currency';
+
+export const CURRENCIES = Object.keys(exchange.rates);
+
+const UNIT_FALLBACKS = {
+  hour: '{price}/hour',
+  day: '{price}/day',
+  package: '{price} per trip'
+};
+
+const formatters = new Map();
+
+const readStored = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+};
+
+const stored = readStored();
+let current = CURRENCIES.includes(stored) ? stored : exchange.base;
+
+export const getCurrency = () => current;
+
+export const onCurrencyChange = (fn) => {
+  const handler = (e) => fn(e.detail.currency, e.detail.previous);
+  document.addEventListener('currencychange', handler);
+  return () => document.removeEventListener('currencychange', handler);
+};
+
+export const setCurrency = (code) => {
+  if (!CURRENCIES.includes(code) || code === current) return;
+  const previous = current;
+  current = code;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch (e) {
+    // Private mode: the currency still applies for this page view.
+  }
+  document.querySelectorAll('[data-currency-switcher]').forEach((select) => {
+    select.value = code;
+  });
+  document.dispatchEvent(new CustomEvent('currencychange', { detail: { currency: code, previous } }));
+};
+
+// Through the base currency; converted amounts are rounded to whole units.
+export const convert = (amount, from, to) => {
+  if (from === to) return amount;
+  const { rates } = exchange;
+  if (!rates[from] || !rates[to]) return null;
+  return Math.round((amount / rates[from]) * rates[to]);
+};
+
+// Whole amounts drop the cents ($150, not $150.00).
+export const formatMoney = (amount, currency, locale) => {
+  const tag = locale || getLocale();
+  const digits = Number.isInteger(amount) ? 0 : 2;
+  const key = `${tag}|${currency}|${digits}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(tag, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }));
+  }
+  return formatters.get(key).format(amount);
+};
+
+const hasAmount = (price) => !!price && typeof price.amount === 'number';
+
+// The display currency differs from the one the service is charged in.
+export const isConverted = (price) => (
+  hasAmount(price) && price.currency !== current && convert(1, price.currency, current) !== null
+);
+
+// options.convert === false keeps the catalog currency (e.g. text sent to the team).
+export const formatPrice = (price, options) => {
+  if (!hasAmount(price)) return t('pricing.quote', 'Custom quote');
+  const converted = !(options && options.convert === false) && isConverted(price);
+  const money = converted
+    ? formatMoney(convert(price.amount, price.currency, current), current)
+    : formatMoney(price.amount, price.currency);
+
+  let text;
+  if (price.unit === 'package' && price.days) {
+    text = plural('pricing.packageDays', price.days, '{price} for {count} days', { price: money });
+  } else {
+    text = t(`pricing.unit.${price.unit}`, UNIT_FALLBACKS[price.unit] || '{price}', { price: money });
+  }
+  if (price.from) text = t('pricing.from', 'from {price}', { price: text });
+  return converted ? t('pricing.approx', '≈ {price}', { price: text }) : text;
+};
+
+// Shown next to a converted price; empty when nothing was converted.
+export const describeConversion = (price) => {
+  if (!isConverted(price)) return '';
+  const [y, m, d] = exchange.updated.split('-').map(Number);
+  return t('pricing.note', 'Approximate, at reference rates from {date}. Charged in {currency}.', {
+    date: formatDate(new Date(y, m - 1, d), { month: 'long', year: 'numeric' }),
+    currency: price.currency
+  });
+};
+
+const symbolFor = (code) => {
+  try {
+    const parts = new Intl.NumberFormat(getLocale(), {
+      style: 'currency',
+      currency: code,
+      currencyDisplay: 'narrowSymbol'
+    }).formatToParts(0);
+    const symbol = parts.find((part) => part.type === 'currency');
+    return symbol && symbol.value !== code ? symbol.value : '';
+  } catch (e) {
+    return '';
+  }
+};
+
+const fillSwitcher = (select) => {
+  select.replaceChildren(...CURRENCIES.map((code) => {
+    const option = document.createElement('option');
+    const symbol = symbolFor(code);
+    option.value = code;
+    option.textContent = symbol ? `${code} ${symbol}` : code;
+    return option;
+  }));
+  select.value = current;
+};
+
+export function initCurrencySwitchers() {
+  const selects = Array.from(document.querySelectorAll('[data-currency-switcher]'));
+  selects.forEach((select) => {
+    fillSwitcher(select);
+    select.hidden = false;
+    select.addEventListener('change', () => setCurrency(select.value));
+  });
+  onLocaleChange(() => selects.forEach(fillSwitcher));
+}
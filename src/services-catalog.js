@@ -0,0 +1,134 @@
+/* Services catalog (src/data/services.json):
+   - Single source for the carousel cards, the screen-02 tabs and the
+     services[] checkboxes in #plan-trip-modal
+   - Rendered with DOM APIs and textContent only; copy is never parsed as HTML
+   - Schema is checked at build time (scripts/validate-services.js)
+   - The JSON is the English copy; other languages override fields under
+     catalog.<key>.* in their dictionary (see i18n.js). Checkbox values stay
+     English so requests read the same whatever language the guest used
+*/
+
+import catalog from './data/services.json';
+import { onLocaleChange, t } from './i18n.js';
+import { formatPrice } from './pricing.js';
+
+const services = catalog.services;
+const byKey = new Map(services.map((service) => [service.key, service]));
+
+// Facts translate by position (catalog.<key>.facts.0.label); missing ones keep the English.
+// `price` stays structured; `priceText` is it formatted in the current locale and currency.
+const localize = (service) => {
+  const base = `catalog.${service.key}`;
+  const priceText = formatPrice(service.price);
+  return {
+    ...service,
+    title: t(`${base}.title`, service.title),
+    summary: t(`${base}.summary`, service.summary),
+    priceText,
+    headline: t(`${base}.headline`, service.headline),
+    body: t(`${base}.body`, service.body),
+    facts: service.facts.map((fact, i) => ({
+      label: t(`${base}.facts.${i}.label`, fact.label),
+      value: fact.price ? priceText : t(`${base}.facts.${i}.value`, fact.value)
+    }))
+  };
+};
+
+export const getServices = () => services.map(localize);
+
+export const getService = (key) => (byKey.has(key) ? localize(byKey.get(key)) : null);
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text) node.textContent = text;
+  return node;
+};
+
+const renderCard = (service) => {
+  const card = el('article', 'hero-service-card');
+  card.dataset.serviceKey = service.key;
+  card.appendChild(el('h3', 'hero-service-card__title', service.title));
+
+  const actions = el('div', 'hero-service-card__actions');
+  const cta = el('button', 'hero-service-card__cta', t('services.book', 'Book'));
+  cta.type = 'button';
+  cta.setAttribute('aria-haspopup', 'dialog');
+  cta.setAttribute('aria-controls', 'plan-trip-modal');
+  actions.appendChild(cta);
+  card.appendChild(actions);
+  return card;
+};
+
+const renderTab = (service, i, panelId) => {
+  const tab = el('button', `screen-02__tab${i === 0 ? ' is-active' : ''}`, service.title);
+  tab.type = 'button';
+  tab.id = `service-tab-${service.key}`;
+  tab.dataset.serviceTab = service.key;
+  tab.setAttribute('role', 'tab');
+  if (panelId) tab.setAttribute('aria-controls', panelId);
+  tab.setAttribute('aria-selected', i === 0 ? 'true' : 'false');
+  tab.setAttribute('tabindex', i === 0 ? '0' : '-1');
+  return tab;
+};
+
+const renderCheckbox = (service) => {
+  const label = el('label', 'modal__service');
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.name = 'services[]';
+  input.value = byKey.get(service.key).title;
+  input.dataset.serviceKey = service.key;
+  if (service.dateMode === 'range') input.dataset.dateMode = 'range';
+  label.appendChild(input);
+  label.appendChild(el('span', 'modal__service-name', service.title));
+  return label;
+};
+
+const fill = (container, nodes) => {
+  if (!container) return;
+  container.replaceChildren(...nodes);
+};
+
+// Language switch: relabel in place, so listeners, focus, checked state and the
+// carousel order all survive.
+const relabel = () => {
+  const titles = new Map(getServices().map((service) => [service.key, service.title]));
+  const titleOf = (node) => titles.get(node.dataset.serviceKey || node.dataset.serviceTab) || null;
+  document.querySelectorAll('.hero-service-card').forEach((card) => {
+    const title = card.querySelector('.hero-service-card__title');
+    const cta = card.querySelector('.hero-service-card__cta');
+    if (title && titleOf(card)) title.textContent = titleOf(card);
+    if (cta) cta.textContent = t('services.book', 'Book');
+  });
+  document.querySelectorAll('.screen-02__tab').forEach((tab) => {
+    if (titleOf(tab)) tab.textContent = titleOf(tab);
+  });
+  document.querySelectorAll('.modal__services input[name="services[]"]').forEach((input) => {
+    const name = input.parentElement.querySelector('.modal__service-name');
+    if (name && titleOf(input)) name.textContent = titleOf(input);
+  });
+};
+
+// Must run before the carousel, calendar and prefill bind to these nodes.
+export function renderServiceCatalog() {
+  const localized = getServices();
+  const track = document.querySelector('.hero-services__track');
+  fill(track, localized.map(renderCard));
+
+  const tabList = document.querySelector('.screen-02__tabs');
+  const panel = document.querySelector('.screen-02__text[role="tabpanel"]');
+  const panelId = panel ? panel.id : '';
+  fill(tabList, localized.map((service, i) => renderTab(service, i, panelId)));
+
+  document.querySelectorAll('.modal__services').forEach((group) => {
+    fill(group, localized.map(renderCheckbox));
+  });
+
+  onLocaleChange(relabel);
+
+  const [first] = services;
+  document.querySelectorAll('.hero-services__shape-image').forEach((img) => {
+    if (first && !img.getAttribute('src')) img.setAttribute('src', first.image);
+  });
+}
@@ -0,0 +1,335 @@
+/* Slide-scroll controller (one screen per gesture):
+   - createSlideController({ screens, lockMs, ... }) -> { next, prev, goTo, pause, resume, on, destroy, ... }
+   - Wheel / touch / keyboard move one screen (one per wheel gesture, trackpad inertia
+     included; inner scrollable regions scroll first); `snap: false` keeps native scrolling
+     and only syncs the URL hash, nav aria-current and `slidechange`
+   - Hooks: on('beforechange', fn) may return false to cancel; on('change', fn)
+     (or onBeforeChange / onChange in the options to also see the initial screen)
+   - Also dispatches a bubbling `slidechange` CustomEvent on the new screen
+*/
+
+import { createWheelGestureRecognizer, findScrollable, normalizeWheelDelta } from './wheel-gesture.js';
+
+const DEFAULTS = {
+  screens: '[data-screen]',
+  navLinks: '.hero-nav a[href^="#"], .site-footer a[href^="#"]',
+  snap: true,
+  lockMs: 850,
+  // Wheel: px a single mouse notch must reach, px of trackpad travel per move,
+  // and the idle time that ends a gesture (see wheel-gesture.js).
+  wheelMinDelta: 14,
+  wheelThreshold: 40,
+  wheelGestureGapMs: 180,
+  swipeMinDistance: 50,
+  resizeDebounceMs: 150,
+  syncHash: true
+};
+
+const toElements = (value) => {
+  if (!value) return [];
+  if (typeof value === 'string') return Array.from(document.querySelectorAll(value));
+  return Array.from(value);
+};
+
+const isEditable = (target) => !!(target && typeof target.closest === 'function' &&
+  target.closest('input, textarea, select, [contenteditable="true"]'));
+
+export function createSlideController(options) {
+  const config = { ...DEFAULTS, ...(options || {}) };
+  const screens = toElements(config.screens);
+  const navLinks = toElements(config.navLinks);
+  const hooks = { beforechange: new Set(), change: new Set() };
+  const pauseReasons = new Set();
+  const cleanups = [];
+
+  let currentIndex = 0;
+  let reportedIndex = -1;
+  let isAnimating = false;
+  // A hashchange that arrived mid-transition, applied once the screen lands.
+  let hashPending = false;
+  let touchStartY = 0;
+  let touchStartX = 0;
+  let touchInner = null;
+  let scrollFrame = 0;
+  let resizeTimer = 0;
+  let unlockTimer = 0;
+  const wheel = createWheelGestureRecognizer({
+    gapMs: config.wheelGestureGapMs,
+    threshold: config.wheelThreshold,
+    minDelta: config.wheelMinDelta
+  });
+
+  const listen = (target, type, handler, opts) => {
+    target.addEventListener(type, handler, opts);
+    cleanups.push(() => target.removeEventListener(type, handler, opts));
+  };
+
+  const clampIndex = (idx) => Math.max(0, Math.min(screens.length - 1, idx));
+
+  const getNearestIndex = () => {
+    const scrollY = window.scrollY;
+    let nearest = 0;
+    let minDist = Infinity;
+    screens.forEach((screen, i) => {
+      const dist = Math.abs(scrollY - screen.offsetTop);
+      if (dist < minDist) {
+        minDist = dist;
+        nearest = i;
+      }
+    });
+    return nearest;
+  };
+
+  // Hash a screen owns: its id, or a prefixed deep link such as #service-… on screen-02.
+  const ownsHash = (screen, hash) => hash === screen.id ||
+    (!!screen.dataset.hashPrefix && hash.startsWith(screen.dataset.hashPrefix));
+
+  const readHash = () => decodeURIComponent(window.location.hash.replace(/^#/, ''));
+
+  // Index for a number, a screen element, an id or a hash ('#screen-03', '#service-…').
+  const resolveIndex = (target) => {
+    if (typeof target === 'number') return Number.isFinite(target) ? clampIndex(target) : -1;
+    if (target instanceof HTMLElement) return screens.indexOf(target);
+    const hash = String(target || '').replace(/^#/, '');
+    return hash ? screens.findIndex((screen) => ownsHash(screen, hash)) : -1;
+  };
+
+  const writeHash = (screen, index) => {
+    const hash = readHash();
+    if (ownsHash(screen, hash)) return;
+    // Leave hashes that are not about screens alone (e.g. #plan-trip opens a modal).
+    if (hash && !screens.some((other) => ownsHash(other, hash))) return;
+    const base = `${window.location.pathname}${window.location.search}`;
+    window.history.replaceState(window.history.state, '', index === 0 ? base : `${base}#${screen.id}`);
+  };
+
+  const setCurrent = (idx, cause) => {
+    if (idx === reportedIndex) return;
+    const previous = reportedIndex;
+    reportedIndex = idx;
+    const screen = screens[idx];
+
+    navLinks.forEach((link) => {
+      if (link.getAttribute('href') === `#${screen.id}`) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+    // Hash-driven changes already have the right URL (and must not rewrite history entries).
+    if (config.syncHash && cause !== 'hash' && screen.id) writeHash(screen, idx);
+
+    const detail = { index: idx, id: screen.id, previous, cause };
+    hooks.change.forEach((fn) => fn(detail));
+    screen.dispatchEvent(new CustomEvent('slidechange', { bubbles: true, detail }));
+  };
+
+  const move = (idx, behavior, cause) => {
+    if (isAnimating || !screens.length) return false;
+    const nextIndex = clampIndex(idx);
+    if (nextIndex !== reportedIndex) {
+      const detail = { index: nextIndex, id: screens[nextIndex].id, previous: reportedIndex, cause };
+      const cancelled = Array.from(hooks.beforechange).some((fn) => fn(detail) === false);
+      if (cancelled) return false;
+    }
+    currentIndex = nextIndex;
+    setCurrent(nextIndex, cause);
+    isAnimating = true;
+    screens[currentIndex].scrollIntoView({
+      behavior: behavior || 'auto',
+      block: 'start'
+    });
+    unlockTimer = window.setTimeout(() => {
+      isAnimating = false;
+      if (hashPending) onHashChange();
+    }, config.lockMs);
+    return true;
+  };
+
+  const step = (dir, cause) => {
+    currentIndex = getNearestIndex();
+    return move(currentIndex + dir, undefined, cause);
+  };
+
+  const isPaused = () => pauseReasons.size > 0;
+
+  // One continuous gesture (including a trackpad's inertia tail) moves at most one screen.
+  const onWheel = (e) => {
+    if (isPaused() || isEditable(e.target)) return;
+    const delta = normalizeWheelDelta(e);
+    // Let a region such as a long bio scroll natively until it reaches its edge.
+    const inner = delta ? findScrollable(e.target, delta > 0 ? 1 : -1) : null;
+    if (inner) {
+      wheel.push(e, true);
+      return;
+    }
+    e.preventDefault();
+    const dir = wheel.push(e, isAnimating);
+    if (dir) step(dir, 'wheel');
+  };
+
+  const onTouchStart = (e) => {
+    const touch = e.touches[0];
+    touchStartY = touch.clientY;
+    touchStartX = touch.clientX;
+    touchInner = findScrollable(e.target, 1) || findScrollable(e.target, -1);
+  };
+
+  const onTouchMove = (e) => {
+    if (isPaused() || touchInner) return;
+    if (Math.abs(e.touches[0].clientY - touchStartY) > 6) {
+      e.preventDefault();
+    }
+  };
+
+  const onTouchEnd = (e) => {
+    if (isPaused() || touchInner) return;
+    const touch = e.changedTouches[0];
+    const deltaY = touchStartY - touch.clientY;
+    const deltaX = touchStartX - touch.clientX;
+    if (Math.abs(deltaY) < config.swipeMinDistance || Math.abs(deltaY) < Math.abs(deltaX)) return;
+    step(deltaY > 0 ? 1 : -1, 'swipe');
+  };
+
+  const onKeyDown = (e) => {
+    if (isPaused() || isEditable(e.target)) return;
+    const code = e.code || e.key;
+    if (code === 'ArrowDown' || code === 'PageDown' || code === 'Space') {
+      e.preventDefault();
+      step(1, 'key');
+      return;
+    }
+    if (code === 'ArrowUp' || code === 'PageUp') {
+      e.preventDefault();
+      step(-1, 'key');
+      return;
+    }
+    if (code === 'Home') {
+      e.preventDefault();
+      move(0, undefined, 'key');
+      return;
+    }
+    if (code === 'End') {
+      e.preventDefault();
+      move(screens.length - 1, undefined, 'key');
+    }
+  };
+
+  // Re-align once the window has settled, not on every resize event.
+  const onResize = () => {
+    window.clearTimeout(resizeTimer);
+    resizeTimer = window.setTimeout(() => {
+      if (isPaused()) return;
+      move(currentIndex, 'auto', 'resize');
+    }, config.resizeDebounceMs);
+  };
+
+  // Back / forward between screens arrive here too: nav links push entries, scrolling replaces them.
+  const onHashChange = () => {
+    // move() ignores calls while animating: the URL would point at another screen.
+    hashPending = isAnimating;
+    if (hashPending) return;
+    const hash = readHash();
+    const idx = hash ? resolveIndex(hash) : 0;
+    if (idx === -1) return;
+    move(idx, 'auto', 'hash');
+  };
+
+  // Native scrolling (snap: false, scrollbar drags) still updates URL + nav.
+  const onScroll = () => {
+    if (isAnimating || scrollFrame) return;
+    scrollFrame = window.requestAnimationFrame(() => {
+      scrollFrame = 0;
+      currentIndex = getNearestIndex();
+      setCurrent(currentIndex, 'scroll');
+    });
+  };
+
+  const gestureListeners = [
+    [window, 'wheel', onWheel, { passive: false }],
+    [document, 'touchstart', onTouchStart, { passive: true }],
+    [document, 'touchmove', onTouchMove, { passive: false }],
+    [document, 'touchend', onTouchEnd, { passive: true }],
+    [window, 'keydown', onKeyDown],
+    [window, 'resize', onResize]
+  ];
+  let gesturesBound = false;
+
+  const bindGestures = (on) => {
+    if (on === gesturesBound) return;
+    gesturesBound = on;
+    gestureListeners.forEach(([target, type, handler, opts]) => {
+      if (on) {
+        target.addEventListener(type, handler, opts);
+      } else {
+        target.removeEventListener(type, handler, opts);
+      }
+    });
+    if (!on) {
+      window.clearTimeout(resizeTimer);
+      wheel.reset();
+    }
+  };
+
+  const api = {
+    screens,
+    next: () => step(1, 'api'),
+    prev: () => step(-1, 'api'),
+    goTo: (target, behavior) => {
+      const idx = resolveIndex(target);
+      return idx === -1 ? false : move(idx, behavior, 'api');
+    },
+    getIndex: () => currentIndex,
+    getScreen: () => screens[currentIndex] || null,
+    // Stops gesture / key / resize handling, e.g. pause('modal') while a dialog is open.
+    pause: (reason) => {
+      pauseReasons.add(reason || 'api');
+    },
+    resume: (reason) => {
+      pauseReasons.delete(reason || 'api');
+    },
+    isPaused,
+    // Switch between one-screen-per-gesture and native scrolling at runtime.
+    setSnap: (on) => {
+      config.snap = !!on;
+      bindGestures(config.snap);
+    },
+    isSnapping: () => config.snap,
+    on: (type, fn) => {
+      if (!hooks[type]) return () => {};
+      hooks[type].add(fn);
+      return () => hooks[type].delete(fn);
+    },
+    destroy: () => {
+      cleanups.splice(0).forEach((fn) => fn());
+      [resizeTimer, unlockTimer].forEach((id) => window.clearTimeout(id));
+      wheel.reset();
+      if (scrollFrame) window.cancelAnimationFrame(scrollFrame);
+      hooks.beforechange.clear();
+      hooks.change.clear();
+    }
+  };
+
+  if (config.onBeforeChange) hooks.beforechange.add(config.onBeforeChange);
+  if (config.onChange) hooks.change.add(config.onChange);
+
+  if (!screens.length) return api;
+
+  listen(window, 'hashchange', onHashChange);
+  listen(window, 'scroll', onScroll, { passive: true });
+
+  bindGestures(config.snap);
+  cleanups.push(() => bindGestures(false));
+
+  currentIndex = getNearestIndex();
+  if (window.location.hash) onHashChange();
+  if (reportedIndex === -1) {
+    if (config.snap) {
+      move(currentIndex, 'auto', 'init');
+    } else {
+      setCurrent(currentIndex, 'init');
+    }
+  }
+
+  return api;
+}
@@ -0,0 +1,262 @@
+/* Trip estimate (Plan a trip modal):
+   - Live itemized estimate for the checked services[]: base rate, minimum hours,
+     multi-day surcharge (day-rate services only), tax — from the hours per day, days
+     and guests inputs
+   - Rates come from the services catalog; minimum hours, guests per vehicle, the
+     per-night surcharge and the tax rate from src/data/pricing-rules.json
+   - Picking a date range fills in the days; quote-only services are listed, not priced
+   - Amounts are in the rules currency; another display currency adds an approximate total
+   - Sent with the lead as `estimate` (see registerPayloadField in lead-form.js)
+*/
+
+import rules from './data/pricing-rules.json';
+import { parseIsoDate } from './form-validation.js';
+import { onLocaleChange, plural, t } from './i18n.js';
+import { registerPayloadField } from './lead-form.js';
+import { getLocale } from './locale.js';
+import { convert, describeConversion, formatMoney, getCurrency, onCurrencyChange } from './pricing.js';
+import { getService } from './services-catalog.js';
+
+const cents = (value) => Math.round(value * 100) / 100;
+
+// Whole number inside the input's min / max; blank or junk falls back to min.
+const readCount = (input) => {
+  if (!input) return 1;
+  const min = Number(input.min) || 1;
+  const max = Number(input.max) || Infinity;
+  const value = Math.floor(Number(input.value));
+  if (!Number.isFinite(value)) return min;
+  return Math.min(Math.max(value, min), max);
+};
+
+// "2026-11-02/2026-11-06" -> 5 (both ends count as trip days).
+const daysInRange = (iso) => {
+  const [start, end] = String(iso || '').split('/').map(parseIsoDate);
+  if (!start || !end) return null;
+  const a = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+  const b = Date.UTC(end.getFullYear(), end.getMonth(), end.getDate());
+  return Math.round((b - a) / 86400000) + 1;
+};
+
+// Catalog rate in the estimate currency; null for quote-only (or unconvertible) prices.
+const rateFor = (price) => {
+  if (!price || typeof price.amount !== 'number') return null;
+  return convert(price.amount, price.currency, rules.currency);
+};
+
+// { services: [keys], hours, days, guests } -> estimate, or null when nothing is selected.
+const estimateTrip = ({ services, hours, days, guests }) => {
+  if (!services.length) return null;
+
+  const lines = [];
+  const quoted = [];
+  let vehiclesMax = 1;
+  let multiDay = false;
+
+  services.forEach((key) => {
+    const entry = getService(key);
+    const rate = entry ? rateFor(entry.price) : null;
+    if (rate === null) {
+      quoted.push(key);
+      return;
+    }
+
+    const rule = rules.services[key] || {};
+    const vehicles = rule.guestsPerVehicle ? Math.ceil(guests / rule.guestsPerVehicle) : 1;
+    vehiclesMax = Math.max(vehiclesMax, vehicles);
+    const { unit } = entry.price;
+
+    if (unit === 'hour') {
+      // Hourly work already bills every day it covers: no overnight surcharge on top.
+      lines.push({ type: 'base', service: key, unit, quantity: hours, rate, days, vehicles, amount: rate * hours * days * vehicles });
+      const extra = (rule.minHours || 0) - hours;
+      if (extra > 0) {
+        lines.push({
+          type: 'minimum',
+          service: key,
+          minHours: rule.minHours,
+          quantity: extra,
+          rate,
+          days,
+          vehicles,
+          amount: rate * extra * days * vehicles
+        });
+      }
+    } else if (unit === 'day') {
+      multiDay = true;
+      lines.push({ type: 'base', service: key, unit, quantity: days, rate, days: 1, vehicles, amount: rate * days * vehicles });
+    } else {
+      // A package already covers its own length.
+      lines.push({ type: 'base', service: key, unit, quantity: 1, rate, days: 1, vehicles, amount: rate * vehicles });
+    }
+  });
+
+  const perNight = rules.multiDay ? rules.multiDay.perNight : 0;
+  if (multiDay && days > 1 && perNight) {
+    const nights = days - 1;
+    lines.push({ type: 'surcharge', nights, rate: perNight, vehicles: vehiclesMax, amount: perNight * nights * vehiclesMax });
+  }
+
+  const priced = lines.length > 0;
+  const subtotal = cents(lines.reduce((sum, line) => sum + line.amount, 0));
+  const tax = priced ? cents(subtotal * (rules.taxRate || 0)) : 0;
+
+  return {
+    currency: rules.currency,
+    hours,
+    days,
+    guests,
+    lines,
+    quoted,
+    subtotal: priced ? subtotal : null,
+    tax: priced ? tax : null,
+    taxRate: rules.taxRate || 0,
+    total: priced ? cents(subtotal + tax) : null
+  };
+};
+
+const serviceTitle = (key) => {
+  const entry = getService(key);
+  return entry ? entry.title : key;
+};
+
+const money = (amount) => formatMoney(amount, rules.currency);
+
+// "3 hours × $150 × 2 days × 2 vehicles"
+const multiplied = (first, line) => {
+  const parts = [first, money(line.rate)];
+  if (line.days > 1) parts.push(plural('estimate.days', line.days, '{count} days'));
+  if (line.vehicles > 1) parts.push(plural('estimate.vehicles', line.vehicles, '{count} vehicles'));
+  return parts.join(' × ');
+};
+
+const describeLine = (line) => {
+  if (line.type === 'minimum') {
+    return {
+      label: plural('estimate.minimum', line.minHours, 'Minimum {count} hours'),
+      detail: multiplied(plural('estimate.hours', line.quantity, '{count} hours'), line)
+    };
+  }
+  if (line.type === 'surcharge') {
+    return {
+      label: t('estimate.surcharge', 'Multi-day surcharge'),
+      detail: multiplied(plural('calendar.nights', line.nights, '{count} nights'), { ...line, days: 1 })
+    };
+  }
+  let first = '1';
+  if (line.unit === 'hour') first = plural('estimate.hours', line.quantity, '{count} hours');
+  if (line.unit === 'day') first = plural('estimate.days', line.quantity, '{count} days');
+  return { label: serviceTitle(line.service), detail: multiplied(first, line) };
+};
+
+const lineItem = (label, value, detail, modifier) => {
+  const li = document.createElement('li');
+  li.className = modifier ? `modal__estimate-line modal__estimate-line--${modifier}` : 'modal__estimate-line';
+  const name = document.createElement('span');
+  name.className = 'modal__estimate-label';
+  name.textContent = label;
+  if (detail) {
+    const small = document.createElement('small');
+    small.className = 'modal__estimate-detail';
+    small.textContent = detail;
+    name.append(small);
+  }
+  const amount = document.createElement('span');
+  amount.className = 'modal__estimate-amount';
+  amount.textContent = value;
+  li.append(name, amount);
+  return li;
+};
+
+const percent = (rate) => new Intl.NumberFormat(getLocale(), { style: 'percent', maximumFractionDigits: 2 }).format(rate);
+
+export function initTripEstimate() {
+  const root = document.querySelector('#plan-trip-modal [data-trip-estimate]');
+  const form = root ? root.closest('form') : null;
+  if (!form) return;
+
+  const list = root.querySelector('.modal__estimate-lines');
+  const totalEl = root.querySelector('.modal__estimate-total');
+  const noteEl = root.querySelector('.modal__estimate-note');
+  const hoursInput = form.elements.namedItem('hours');
+  const daysInput = form.elements.namedItem('days');
+  const guestsInput = form.elements.namedItem('guests');
+  const dateInput = form.querySelector('[data-date-picker]');
+  const isoField = dateInput && dateInput.dataset.isoField ? form.elements.namedItem(dateInput.dataset.isoField) : null;
+
+  const read = () => estimateTrip({
+    services: Array.from(form.querySelectorAll('input[name="services[]"]:checked'))
+      .map((el) => el.dataset.serviceKey)
+      .filter(Boolean),
+    hours: readCount(hoursInput),
+    days: readCount(daysInput),
+    guests: readCount(guestsInput)
+  });
+
+  const render = () => {
+    const estimate = read();
+    const items = [];
+    let total = '';
+    let note = t('estimate.empty', 'Choose a service to see an estimate.');
+
+    if (estimate) {
+      estimate.lines.forEach((line) => {
+        const { label, detail } = describeLine(line);
+        items.push(lineItem(label, money(line.amount), detail, line.type === 'base' ? '' : line.type));
+      });
+      estimate.quoted.forEach((key) => {
+        items.push(lineItem(serviceTitle(key), t('estimate.quoted', 'Quoted separately'), '', 'quoted'));
+      });
+
+      if (estimate.total === null) {
+        note = t('estimate.quoteOnly', 'We will price these with your itinerary.');
+      } else {
+        items.push(lineItem(t('estimate.subtotal', 'Subtotal'), money(estimate.subtotal), '', 'subtotal'));
+        items.push(lineItem(t('estimate.tax', 'Tax ({rate})', { rate: percent(estimate.taxRate) }), money(estimate.tax), '', 'tax'));
+
+        total = t('estimate.total', 'Estimated total: {price}', { price: money(estimate.total) });
+        const display = getCurrency();
+        const converted = display !== estimate.currency ? convert(estimate.total, estimate.currency, display) : null;
+        if (converted !== null) {
+          total = `${total} (${t('pricing.approx', '≈ {price}', { price: formatMoney(converted, display) })})`;
+        }
+        const conversion = describeConversion({ amount: estimate.total, currency: estimate.currency });
+        note = [t('estimate.note', 'An estimate, not a quote: we confirm the final price with your itinerary.'), conversion]
+          .filter(Boolean)
+          .join(' ');
+      }
+    }
+
+    list.replaceChildren(...items);
+    list.hidden = !items.length;
+    totalEl.textContent = total;
+    totalEl.hidden = !total;
+    noteEl.textContent = note;
+  };
+
+  // A picked date range decides the number of days (the guest can still adjust it).
+  const syncDays = () => {
+    const days = isoField ? daysInRange(isoField.value) : null;
+    if (days && daysInput) daysInput.value = String(Math.min(days, Number(daysInput.max) || days));
+  };
+
+  form.addEventListener('input', render);
+  form.addEventListener('change', (e) => {
+    if (e.target === dateInput || e.target === isoField) syncDays();
+    render();
+  });
+  // Snap out-of-range numbers back once the guest moves on.
+  [hoursInput, daysInput, guestsInput].forEach((input) => {
+    if (!input) return;
+    input.addEventListener('blur', () => {
+      if (input.value !== String(readCount(input))) input.value = String(readCount(input));
+    });
+  });
+  // reset fires before the fields are restored
+  form.addEventListener('reset', () => window.setTimeout(render, 0));
+
+  registerPayloadField(form, 'estimate', read);
+  onLocaleChange(render);
+  onCurrencyChange(render);
+  render();
+}
@@ -0,0 +1,148 @@
+/* Prefilled trip requests:
+   - "Book" on a carousel card opens #plan-trip-modal with that service checked
+     and the comment seeded with the service's rate from the catalog (in the currency
+     it is charged in, whatever the guest picked for display)
+   - Same from the URL: ?service=western-states-loop&date=2026-11-02
+     (date may also be an ISO range, 2026-11-02/2026-11-06). Like the calendar, a date
+     outside the bookable window or on a blocked day (availability feed) is dropped;
+     a blocked one says so under the date field until the guest picks another
+*/
+
+import { isRangeOpen, loadAvailability } from './availability.js';
+import { getDateWindow, parseIsoDate } from './form-validation.js';
+import { onLocaleChange, t } from './i18n.js';
+import { formatDisplayDate, formatDisplayRange } from './locale.js';
+import { openModal } from './modals.js';
+import { formatPrice } from './pricing.js';
+import { getService } from './services-catalog.js';
+
+// Keys come from the URL, so match by comparison instead of building selectors.
+const findByKey = (root, selector, key) => (key
+  ? Array.from(root.querySelectorAll(selector)).find((el) => el.dataset.serviceKey === key) || null
+  : null);
+
+// Accepts YYYY-MM-DD or YYYY-MM-DD/YYYY-MM-DD inside the bookable window.
+const sanitizeDate = (raw, dateInput) => {
+  if (!raw || !dateInput) return '';
+  const parts = String(raw).split('/').slice(0, 2);
+  const dates = parts.map(parseIsoDate);
+  if (dates.some((d) => !d)) return '';
+  const { min, max } = getDateWindow(dateInput);
+  if (dates.some((d) => d < min || d > max)) return '';
+  if (dates[1] && dates[1] <= dates[0]) return parts[0];
+  return parts.join('/');
+};
+
+// form -> { el, start, end } of the "requested date is unavailable" notice
+const dateNotices = new WeakMap();
+
+const renderDateNotice = (notice) => {
+  const date = notice.end ? formatDisplayRange(notice.start, notice.end) : formatDisplayDate(notice.start);
+  notice.el.textContent = t('calendar.requestedUnavailable', '{date} is not available. Please pick another date.', { date });
+};
+
+const showDateNotice = (form, dateInput, start, end) => {
+  let notice = dateNotices.get(form);
+  if (!notice) {
+    const el = document.createElement('p');
+    el.className = 'modal__notice';
+    el.setAttribute('role', 'status');
+    const field = dateInput.closest('.modal__field') || dateInput;
+    field.insertAdjacentElement('afterend', el);
+    notice = { el };
+    dateNotices.set(form, notice);
+    onLocaleChange(() => {
+      if (!notice.el.hidden) renderDateNotice(notice);
+    });
+  }
+  notice.start = start;
+  notice.end = end;
+  renderDateNotice(notice);
+  notice.el.hidden = false;
+};
+
+const hideDateNotice = (form) => {
+  const notice = dateNotices.get(form);
+  if (notice) notice.el.hidden = true;
+};
+
+const seedComment = (comment, text) => {
+  if (!comment || !text) return;
+  const current = comment.value.trim();
+  // Replace our own earlier seed, never what the guest typed.
+  if (current && current !== comment.dataset.seed) return;
+  comment.value = text;
+  comment.dataset.seed = text;
+  comment.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+export const prefillTripRequest = (modal, { service, date, price }) => {
+  const form = modal ? modal.querySelector('.modal__form') : null;
+  if (!form) return;
+
+  const checkbox = findByKey(form, 'input[name="services[]"]', service);
+  if (checkbox && !checkbox.checked) {
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  if (checkbox) {
+    const entry = getService(service);
+    const name = entry ? entry.title : checkbox.value;
+    const rate = price || (entry ? formatPrice(entry.price, { convert: false }) : '');
+    seedComment(form.elements.namedItem('comment'), rate ? `${name} — ${rate}.` : `${name}.`);
+  }
+
+  const dateInput = form.querySelector('[data-date-picker]');
+  const value = sanitizeDate(date, dateInput);
+  const isoField = dateInput && dateInput.dataset.isoField ? form.elements.namedItem(dateInput.dataset.isoField) : null;
+  if (!value || !isoField) return;
+  hideDateNotice(form);
+  isoField.value = value;
+  isoField.dispatchEvent(new Event('change', { bubbles: true }));
+
+  // Take the date back out once the feed says it is blocked (unless the guest changed it).
+  loadAvailability(dateInput.dataset.availability).then((blocked) => {
+    if (isoField.value !== value) return;
+    const [start, end] = value.split('/').map(parseIsoDate);
+    if (isRangeOpen(blocked, start, end || start)) return;
+    isoField.value = '';
+    isoField.dispatchEvent(new Event('change', { bubbles: true }));
+    showDateNotice(form, dateInput, start, end);
+  });
+};
+
+export function initTripPrefill() {
+  const modal = document.querySelector('#plan-trip-modal');
+  if (!modal) return;
+
+  const form = modal.querySelector('.modal__form');
+  const dateInput = form ? form.querySelector('[data-date-picker]') : null;
+  const isoField = dateInput && dateInput.dataset.isoField ? form.elements.namedItem(dateInput.dataset.isoField) : null;
+  if (isoField) {
+    // The notice is about the link's date: gone once another is picked or the form is sent.
+    form.addEventListener('change', (e) => {
+      if ((e.target === dateInput || e.target === isoField) && isoField.value) hideDateNotice(form);
+    });
+    form.addEventListener('reset', () => hideDateNotice(form));
+  }
+
+  document.addEventListener('click', (e) => {
+    const target = e.target;
+    if (!(target instanceof HTMLElement)) return;
+    const cta = target.closest('.hero-service-card__cta');
+    if (!cta) return;
+    const card = cta.closest('.hero-service-card');
+    if (!card) return;
+    e.preventDefault();
+    prefillTripRequest(modal, { service: card.dataset.serviceKey });
+    openModal(modal, { trigger: cta, source: 'book' });
+  });
+
+  const params = new URLSearchParams(window.location.search);
+  const service = params.get('service');
+  const date = params.get('date');
+  if (!service && !date) return;
+  prefillTripRequest(modal, { service, date });
+  openModal(modal, { source: 'url' });
+}
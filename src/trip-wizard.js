@@ -0,0 +1,215 @@
+/* Plan a trip wizard:
+   - Splits the [data-wizard] form into its fieldset.modal__step steps (contact → service
+     and dates → group and pace → interests and requests → review) with Back / Next
+     and an ordered-list progress indicator
+   - Next validates the steps seen so far (validateForm scope); an error on an earlier
+     step jumps back to it. Enter on a step moves on instead of submitting
+   - The review step summarizes the answers from the live form, with "Edit" links
+   - Answers and the current step are kept in sessionStorage as the form's draft
+     (data-draft-storage="session", see form-drafts.js), so "Continue where you left off"
+     returns to the same step; a sent request (form reset) starts over
+   - Without JS the steps simply stack as one long form
+*/
+
+import { namedFields, registerDraftState, saveDraft } from './form-drafts.js';
+import { validateForm } from './form-validation.js';
+import { onLocaleChange, t } from './i18n.js';
+
+const isFilled = (value) => (Array.isArray(value) ? value.length > 0 : !!String(value || '').trim());
+
+// Label text of a field as the guest sees it (already in the page language).
+const labelOf = (el) => {
+  const group = el.closest('[role="group"], [role="radiogroup"]');
+  if ((el.type === 'checkbox' || el.type === 'radio') && group) return group.getAttribute('aria-label') || '';
+  const label = el.closest('label');
+  const span = label ? label.querySelector('span') : null;
+  return span ? span.textContent.trim() : el.name;
+};
+
+const choiceText = (el) => {
+  const span = el.parentElement ? el.parentElement.querySelector('span') : null;
+  return span ? span.textContent.trim() : el.value;
+};
+
+// What the review shows for one field: the visible date instead of the ISO value,
+// option labels instead of the submitted values.
+const displayValue = (form, el) => {
+  if (el.type === 'checkbox' || el.type === 'radio') {
+    return Array.from(form.elements)
+      .filter((other) => other.name === el.name && other.checked)
+      .map(choiceText)
+      .join(', ');
+  }
+  if (el.type === 'hidden') {
+    const picker = form.querySelector(`[data-iso-field="${el.name}"]`);
+    return picker ? picker.value : el.value;
+  }
+  return el.value.trim();
+};
+
+const reviewRow = (label, value) => {
+  const row = document.createElement('div');
+  const dt = document.createElement('dt');
+  const dd = document.createElement('dd');
+  dt.textContent = label;
+  dd.textContent = isFilled(value) ? value : t('wizard.empty', 'Not provided');
+  if (!isFilled(value)) dd.className = 'is-empty';
+  row.append(dt, dd);
+  return row;
+};
+
+export function initTripWizard() {
+  const form = document.querySelector('#plan-trip-modal form[data-wizard]');
+  if (!form) return;
+  const modal = form.closest('.modal');
+  const steps = Array.from(form.querySelectorAll('.modal__step'));
+  if (steps.length < 2) return;
+
+  const progress = form.querySelector('.modal__progress');
+  const progressItems = progress ? Array.from(progress.children) : [];
+  const progressLabel = form.querySelector('.modal__progress-label');
+  const review = form.querySelector('.modal__review');
+  const backBtn = form.querySelector('[data-wizard-back]');
+  const nextBtn = form.querySelector('[data-wizard-next]');
+  const submitBtn = form.querySelector('[type="submit"]');
+  const last = steps.length - 1;
+
+  let index = 0;
+
+  const titleOf = (step) => {
+    const legend = step.querySelector('.modal__step-title');
+    return legend ? legend.textContent.trim() : '';
+  };
+
+  const renderReview = () => {
+    if (!review) return;
+    const sections = steps.slice(0, last).map((step, i) => {
+      const section = document.createElement('section');
+      section.className = 'modal__review-section';
+
+      const head = document.createElement('div');
+      head.className = 'modal__review-head';
+      const title = document.createElement('h3');
+      title.className = 'modal__review-title';
+      title.textContent = titleOf(step);
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'modal__review-edit';
+      edit.dataset.wizardGoto = String(i);
+      edit.textContent = t('wizard.edit', 'Edit');
+      edit.setAttribute('aria-label', t('wizard.editLabel', 'Edit: {section}', { section: titleOf(step) }));
+      head.append(title, edit);
+
+      const list = document.createElement('dl');
+      list.className = 'modal__review-list';
+      const seen = new Set();
+      namedFields(form).filter((el) => step.contains(el)).forEach((el) => {
+        if (seen.has(el.name)) return;
+        seen.add(el.name);
+        list.append(reviewRow(labelOf(el), displayValue(form, el)));
+      });
+      // The estimate lives in the group step; repeat its total next to the answers.
+      const total = step.querySelector('.modal__estimate-total');
+      if (total && !total.hidden && total.textContent) {
+        list.append(reviewRow(t('estimate.title', 'Trip estimate'), total.textContent));
+      }
+
+      section.append(head, list);
+      return section;
+    });
+    review.replaceChildren(...sections);
+  };
+
+  const focusStep = (target) => {
+    const step = steps[index];
+    let el = target && step.contains(target) ? target : null;
+    if (el && !el.matches('input, textarea, select, button')) el = el.querySelector('input, textarea, select, button');
+    if (!el) el = index === last ? submitBtn : step.querySelector('input:not([type="hidden"]), textarea, select');
+    if (el) el.focus();
+  };
+
+  const go = (next, options) => {
+    index = Math.max(0, Math.min(next, last));
+    steps.forEach((step, i) => {
+      step.hidden = i !== index;
+    });
+    progressItems.forEach((item, i) => {
+      item.classList.toggle('is-done', i < index);
+      if (i === index) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+    if (progressLabel) {
+      progressLabel.textContent = t('wizard.stepOf', 'Step {current} of {total}: {title}', {
+        current: index + 1,
+        total: steps.length,
+        title: titleOf(steps[index])
+      });
+    }
+    if (backBtn) backBtn.hidden = index === 0;
+    if (nextBtn) nextBtn.hidden = index === last;
+    if (submitBtn) submitBtn.hidden = index !== last;
+    if (index === last) renderReview();
+    saveDraft(form);
+    if (options && options.focus) focusStep(options.target);
+  };
+
+  // Validates steps 0..at; on failure shows the step holding the first error.
+  const checkUpTo = (at) => {
+    const scope = steps.slice(0, at + 1);
+    if (validateForm(form, scope)) return true;
+    const invalid = scope
+      .map((step) => step.querySelector('[aria-invalid="true"]'))
+      .find(Boolean);
+    const target = invalid ? steps.findIndex((step) => step.contains(invalid)) : index;
+    go(target, { focus: true, target: invalid });
+    return false;
+  };
+
+  const next = () => {
+    if (index === last) return;
+    if (checkUpTo(index)) go(index + 1, { focus: true });
+  };
+
+  // Capture on the modal runs before lead-form's submit listener on the form itself.
+  modal.addEventListener('submit', (e) => {
+    if (e.target !== form) return;
+    if (index === last && checkUpTo(last)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (index !== last) next();
+  }, true);
+
+  if (nextBtn) nextBtn.addEventListener('click', next);
+  if (backBtn) backBtn.addEventListener('click', () => go(index - 1, { focus: true }));
+  if (review) {
+    review.addEventListener('click', (e) => {
+      const target = e.target;
+      if (!(target instanceof HTMLElement)) return;
+      const edit = target.closest('[data-wizard-goto]');
+      if (edit) go(Number(edit.dataset.wizardGoto), { focus: true });
+    });
+  }
+
+  // A sent request resets the form: start again from the top.
+  form.addEventListener('reset', () => window.setTimeout(() => go(0), 0));
+
+  registerDraftState(form, 'step', {
+    read: () => index,
+    restore: (step) => go(Number(step) || 0, { focus: true })
+  });
+
+  // The modal's own initial focus lands on the first field of the form; use the current step's.
+  modal.addEventListener('modalopen', () => focusStep(null));
+
+  onLocaleChange(() => go(index));
+
+  if (progress) progress.hidden = false;
+  if (progressLabel) progressLabel.hidden = false;
+
+  go(0);
+  // A ?service= / #plan-trip link may have opened the modal before the steps existed.
+  if (modal.classList.contains('is-open')) focusStep(null);
+}
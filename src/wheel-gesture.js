@@ -0,0 +1,112 @@
+/* Wheel gesture recognizer:
+   - Groups wheel events into gestures: a pause longer than gapMs, a direction
+     flip or a fresh acceleration (new swipe during an inertia tail) starts a new one
+   - Tells discrete mouse wheels (line/page deltaMode, sparse large integer steps)
+     apart from trackpads (pixel deltas, dense small / fractional steps, inertia)
+   - Each gesture yields at most one direction; trackpads must travel `threshold` px first
+   - findScrollable() locates an inner region that can still scroll, so the page
+     only advances once that region has reached its edge
+*/
+
+const LINE_HEIGHT_PX = 16;
+const HISTORY_SIZE = 6;
+
+// deltaY in pixels, whatever the browser reported in.
+export const normalizeWheelDelta = (e) => {
+  const delta = e.deltaY || 0;
+  if (e.deltaMode === 1) return delta * LINE_HEIGHT_PX;
+  if (e.deltaMode === 2) return delta * (window.innerHeight || 800);
+  return delta;
+};
+
+const canScroll = (el, dir) => {
+  if (el.scrollHeight - el.clientHeight < 2) return false;
+  const style = window.getComputedStyle(el);
+  if (!/(auto|scroll|overlay)/.test(style.overflowY)) return false;
+  if (dir < 0) return el.scrollTop > 0;
+  return el.scrollTop + el.clientHeight < el.scrollHeight - 1;
+};
+
+// Nearest ancestor of target (below <body>) that can scroll further in `dir`.
+export const findScrollable = (target, dir) => {
+  let el = target instanceof Element ? target : null;
+  while (el && el !== document.body && el !== document.documentElement) {
+    if (canScroll(el, dir)) return el;
+    el = el.parentElement;
+  }
+  return null;
+};
+
+export function createWheelGestureRecognizer(options) {
+  const config = {
+    gapMs: 180,
+    threshold: 40,
+    minDelta: 14,
+    ...(options || {})
+  };
+
+  let gesture = null;
+
+  const classify = (e, abs, gap) => {
+    if (e.deltaMode === 1 || e.deltaMode === 2) return 'mouse';
+    if (e.deltaX) return 'trackpad';
+    if (!Number.isInteger(e.deltaY)) return 'trackpad';
+    // Chrome / Safari mice send steady ~100-120px notches far apart; trackpads stream small deltas.
+    if (abs >= 50 && gap > 40) return 'mouse';
+    return gesture ? gesture.kind : 'trackpad';
+  };
+
+  // Inertia only decays; a clear jump in magnitude means the fingers pushed again.
+  const isAcceleration = (abs) => {
+    const history = gesture.history;
+    if (history.length < 3) return false;
+    const recent = history.slice(-3);
+    const decaying = recent[2] <= recent[1] && recent[1] <= recent[0];
+    return decaying && abs > recent[2] * 1.8 && abs - recent[2] > 8;
+  };
+
+  const start = (now, dir, kind) => {
+    gesture = { startedAt: now, lastAt: now, dir, kind, travel: 0, history: [], done: false };
+  };
+
+  return {
+    // Feed every wheel event. `blocked` (inner scroll, running transition) uses up the gesture.
+    // Returns 1 / -1 when the page should move, otherwise 0.
+    push(e, blocked) {
+      const now = e.timeStamp || Date.now();
+      const delta = normalizeWheelDelta(e);
+      const abs = Math.abs(delta);
+      if (!abs) return 0;
+      const dir = delta > 0 ? 1 : -1;
+      const gap = gesture ? now - gesture.lastAt : Infinity;
+      const kind = classify(e, abs, gap);
+
+      const isNew = !gesture || gap > config.gapMs || dir !== gesture.dir ||
+        (kind === 'trackpad' && isAcceleration(abs));
+      if (isNew) start(now, dir, kind);
+
+      gesture.lastAt = now;
+      gesture.kind = kind;
+      gesture.travel += abs;
+      gesture.history.push(abs);
+      if (gesture.history.length > HISTORY_SIZE) gesture.history.shift();
+
+      if (gesture.done) return 0;
+      if (blocked) {
+        gesture.done = true;
+        return 0;
+      }
+
+      const ready = kind === 'mouse' ? abs >= config.minDelta : gesture.travel >= config.threshold;
+      if (!ready) return 0;
+      gesture.done = true;
+      return dir;
+    },
+
+    reset() {
+      gesture = null;
+    },
+
+    getKind: () => (gesture ? gesture.kind : null)
+  };
+}
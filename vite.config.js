@@ -0,0 +1,18 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vite';
+import { mockApi } from './mock/api.js';
+import { servicesCatalog } from './scripts/validate-services.js';
+
+const page = (file) => fileURLToPath(new URL(file, import.meta.url));
+
+export default defineConfig({
+  plugins: [servicesCatalog(), mockApi()],
+  build: {
+    rollupOptions: {
+      input: {
+        main: page('./index.html'),
+        newsletterConfirm: page('./newsletter-confirm.html')
+      }
+    }
+  }
+});